@@ -1,5 +1,25 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessions = require('../services/sessions');
+const { forbidden } = require('./authorize');
+
+// Resolve a bearer token to the user it was issued for, or null. Tokens
+// belong to a session and stop working as soon as it is revoked.
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid || !await sessions.isActive(decoded.sid)) return null;
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) return null;
+
+  return {
+    userId: user._id,
+    userType: user.userType,
+    sessionId: decoded.sid,
+    isSuspended: user.isSuspended
+  };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,14 +29,17 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await authenticate(token);
     
     if (!user) {
       return res.status(401).json({ message: 'Invalid token' });
     }
 
-    req.user = { userId: user._id, userType: user.userType };
+    if (user.isSuspended) {
+      return forbidden(res, 'Account suspended', 'active_account');
+    }
+
+    req.user = { userId: user.userId, userType: user.userType, sessionId: user.sessionId };
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -24,5 +47,22 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth;
+// Identify the caller when a valid token is sent, but let anonymous
+// requests through with req.user unset
+const optional = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const user = token ? await authenticate(token) : null;
+
+    if (user && !user.isSuspended) {
+      req.user = { userId: user.userId, userType: user.userType, sessionId: user.sessionId };
+    }
+  } catch (error) {
+    // An invalid token is treated like no token at all
+  }
+  next();
+};
 
+module.exports = auth;
+module.exports.authenticate = authenticate;
+module.exports.optional = optional;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const { isRequestOwner, isRequestDonor } = require('../services/requests');
+
+// Every denial has the same shape, so clients can handle them in one place:
+// `requirement` names the rule (or rules) the caller did not meet
+function forbidden(res, message, requirement) {
+  return res.status(403).json({ message, code: 'forbidden', requirement });
+}
+
+// Rules are { requirement, message, check(req) }; checks may be async
+
+const ROLE_NAMES = {
+  donor: 'donors',
+  patient: 'patients',
+  admin: 'admins'
+};
+
+function role(...userTypes) {
+  return {
+    requirement: `role:${userTypes.join('|')}`,
+    message: `Only ${userTypes.map(type => ROLE_NAMES[type] || type).join(' or ')} can do this`,
+    check: req => userTypes.includes(req.user.userType)
+  };
+}
+
+const admin = role('admin');
+
+// The patient who raised the loaded request (for `manage_requests` only),
+// or staff at its facility with the given permission. Needs `loadRequest` first.
+function requestOwner(permission = 'manage_requests') {
+  return {
+    requirement: `request_owner:${permission}`,
+    message: permission === 'manage_requests'
+      ? 'Only the requesting patient or facility staff can do this'
+      : 'Only facility staff can do this',
+    check: req => isRequestOwner(req.bloodRequest, req.user.userId, permission)
+  };
+}
+
+// A donor on the loaded request: by default one who responded to it; with
+// statuses, only one whose response has one of them; with `contacted`, also
+// a donor a dispatch wave reached who has not responded yet
+function requestDonor({ statuses, contacted = false } = {}) {
+  const requirement = statuses ? `request_donor:${statuses.join('|')}` : 'request_donor';
+
+  return {
+    requirement: contacted ? `${requirement}|contacted` : requirement,
+    message: statuses?.includes('accepted')
+      ? 'Only a donor who accepted this request can do this'
+      : 'Only donors on this request can do this',
+    check: req => isRequestDonor(req.bloodRequest, req.user.userId, { statuses, contacted })
+  };
+}
+
+// Staff at the loaded facility with a permission. Needs `req.facility`.
+function facilityStaff(permission) {
+  return {
+    requirement: `facility:${permission}`,
+    message: 'Only facility staff with access can do this',
+    check: req => Boolean(req.facility && req.facility.can(req.user.userId, permission))
+  };
+}
+
+function split(rules) {
+  const message = typeof rules[rules.length - 1] === 'string' ? rules.pop() : rules[0].message;
+  return { rules, message, requirement: rules.map(rule => rule.requirement).join(' or ') };
+}
+
+// Check rules inside a handler that loads the resource itself: sends the
+// denial and resolves false when none holds
+async function permits(req, res, ...args) {
+  const { rules, message, requirement } = split(args);
+
+  for (const rule of rules) {
+    if (await rule.check(req)) return true;
+  }
+  forbidden(res, message, requirement);
+  return false;
+}
+
+// Middleware letting the request through when any rule holds. A trailing
+// string replaces the default message, e.g.
+//   authorize(admin, requestOwner(), 'Not authorized to view this request')
+function authorize(...args) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+      if (await permits(req, res, ...args)) next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+}
+
+// Load the BloodRequest named by a route parameter into `req.bloodRequest`
+function loadRequest(param = 'id') {
+  return async (req, res, next) => {
+    try {
+      const id = req.params[param];
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      req.bloodRequest = await BloodRequest.findById(id);
+      if (!req.bloodRequest) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Load request error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+}
+
+module.exports = authorize;
+module.exports.forbidden = forbidden;
+module.exports.permits = permits;
+module.exports.role = role;
+module.exports.admin = admin;
+module.exports.requestOwner = requestOwner;
+module.exports.requestDonor = requestDonor;
+module.exports.facilityStaff = facilityStaff;
+module.exports.loadRequest = loadRequest;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Audit log entry for every action taken through the admin API
+const adminActionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'verify_approve',
+      'verify_reject',
+      'user_suspend',
+      'user_reinstate',
+      'user_promote',
+      'request_cancel',
+      'request_reassign',
+      'facility_verify',
+      'certificate_revoke'
+    ],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'BloodRequest', 'Facility', 'Certificate'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetType'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  details: mongoose.Schema.Types.Mixed,
+  ip: String
+}, {
+  timestamps: true
+});
+
+adminActionSchema.index({ createdAt: -1 });
+adminActionSchema.index({ target: 1, createdAt: -1 });
+adminActionSchema.index({ admin: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const appointmentSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSlot',
+    required: true
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  // Set when the booking fulfils an accepted blood request response
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest'
+  },
+  // Copied from the slot so conflicts can be checked without a lookup
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'cancelled', 'completed', 'no_show'],
+    default: 'booked'
+  },
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  reminderSentAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+appointmentSchema.index({ donor: 1, status: 1, startsAt: 1 });
+appointmentSchema.index({ slot: 1, status: 1 });
+appointmentSchema.index({ status: 1, startsAt: 1, reminderSentAt: 1 });
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
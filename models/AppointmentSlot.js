@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { COMPONENTS } = require('../shared/compatibility');
+
+// A bookable donation window at a facility or at a blood drive it runs
+const appointmentSlotSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['facility', 'drive'],
+    default: 'facility'
+  },
+  // Drive name, shown instead of the facility name
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  // Where donors go; the facility's own location unless this is a drive
+  venue: {
+    name: String,
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+      }
+    }
+  },
+  component: {
+    type: String,
+    enum: COMPONENTS,
+    default: 'whole_blood'
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  bookedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Donors waiting for a place, first come first served
+  waitlist: [{
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'cancelled'],
+    default: 'open'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+appointmentSlotSchema.index({ 'venue.location': '2dsphere' });
+appointmentSlotSchema.index({ facility: 1, startsAt: 1 });
+appointmentSlotSchema.index({ status: 1, startsAt: 1 });
+
+// Virtual for places still free
+appointmentSlotSchema.virtual('available').get(function() {
+  return Math.max(this.capacity - this.bookedCount, 0);
+});
+
+// Method to check if the slot can still be booked
+appointmentSlotSchema.methods.isBookable = function() {
+  return this.status === 'open' && this.startsAt > new Date();
+};
+
+module.exports = mongoose.model('AppointmentSlot', appointmentSlotSchema);
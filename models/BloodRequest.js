@@ -1,21 +1,54 @@
 const mongoose = require('mongoose');
+const compatibility = require('../shared/compatibility');
+const lifecycle = require('../services/lifecycle');
+
+const URGENCIES = ['low', 'medium', 'high', 'critical'];
+
+// Numeric urgency, most severe highest, for sorting: the strings would sort
+// alphabetically
+const URGENCY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
 
 const bloodRequestSchema = new mongoose.Schema({
+  // Registered patient; optional when facility staff raise the request
   patient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.facility;
+    }
+  },
+  patientInfo: {
+    name: String,
+    age: Number,
+    ward: String
+  },
+  // Facility the blood is needed at; `hospital` is then a copy of its
+  // details, kept in step while the request is open (see syncFacility)
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility'
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
   bloodType: {
     type: String,
-    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+    enum: compatibility.BLOOD_TYPES,
     required: true
   },
+  component: {
+    type: String,
+    enum: compatibility.COMPONENTS,
+    default: 'whole_blood'
+  },
   urgency: {
     type: String,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: URGENCIES,
     default: 'medium'
   },
+  // Derived from urgency on save (see URGENCY_RANK)
+  urgencyRank: Number,
   hospital: {
     name: {
       type: String,
@@ -45,7 +78,7 @@ const bloodRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'matched', 'completed', 'cancelled'],
+    enum: lifecycle.STATUSES,
     default: 'active'
   },
   matchedDonors: [{
@@ -53,9 +86,11 @@ const bloodRequestSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // `reassigned` means an administrator took the donor off the request;
+    // unlike `declined` it does not count against their reliability
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'declined', 'completed'],
+      enum: ['pending', 'accepted', 'declined', 'completed', 'reassigned'],
       default: 'pending'
     },
     matchedAt: {
@@ -63,6 +98,33 @@ const bloodRequestSchema = new mongoose.Schema({
       default: Date.now
     },
     respondedAt: Date,
+    // Units the donor committed to when accepting
+    pledgedUnits: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Units actually collected from the donor
+    donatedUnits: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Booked donation appointment for this response
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    arrivedAt: Date,
+    arrivalConfirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Facility staff member or patient who recorded the donation
+    donationConfirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     notes: String
   }],
   requiredUnits: {
@@ -78,41 +140,196 @@ const bloodRequestSchema = new mongoose.Schema({
     type: String,
     maxlength: 1000
   },
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['running', 'fulfilled', 'exhausted', 'stopped']
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    waves: [{
+      number: Number,
+      radiusKm: Number,
+      maxEtaMinutes: Number,
+      startedAt: Date,
+      contacted: [{
+        donor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        distance: Number,
+        etaMinutes: Number
+      }]
+    }]
+  },
+  // Units collected when the request was closed; below requiredUnits
+  // means the request closed short
+  fulfilledUnits: Number,
+  // Open requests expire at this time; derived from urgency
+  expiresAt: Date,
   completedAt: Date,
+  expiredAt: Date,
   cancelledAt: Date,
-  cancellationReason: String
+  cancellationReason: String,
+  // Append-only history, written through services/lifecycle
+  events: [{
+    type: {
+      type: String,
+      required: true
+    },
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorType: String,
+    reason: String,
+    data: mongoose.Schema.Types.Mixed,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
 });
 
 // Index for geospatial queries
 bloodRequestSchema.index({ 'hospital.location': '2dsphere' });
-bloodRequestSchema.index({ status: 1, urgency: -1, createdAt: -1 });
+bloodRequestSchema.index({ status: 1, urgencyRank: -1, createdAt: -1, _id: -1 });
+bloodRequestSchema.index({ facility: 1, status: 1, createdAt: -1 });
+bloodRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// Set the expiry deadline and urgency rank on creation and whenever
+// urgency changes
+bloodRequestSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('urgency')) {
+    this.expiresAt = lifecycle.deadlineFor(this.urgency, this.createdAt || new Date());
+    this.urgencyRank = URGENCY_RANK[this.urgency];
+  }
+  next();
+});
+
+// History entries may be added but never removed or rewritten. Documents
+// loaded without `events` are not counted; save() cannot touch them anyway.
+bloodRequestSchema.post('init', function() {
+  if (this.isSelected('events') && this.events) this.$locals.eventCount = this.events.length;
+});
+
+bloodRequestSchema.pre('save', function(next) {
+  const saved = this.$locals.eventCount || 0;
+  const rewritten = this.modifiedPaths().some(path => {
+    const match = path.match(/^events\.(\d+)/);
+    return match && Number(match[1]) < saved;
+  });
+
+  if (this.events.length < saved || rewritten) {
+    return next(new Error('Request history is append-only'));
+  }
+  this.$locals.eventCount = this.events.length;
+  next();
+});
+
+// Query updates may only $push history entries onto the end; replacing the
+// document or any other operator (or pipeline stage) touching `events` is
+// rejected
+const touchesEvents = path => path === 'events' || path.startsWith('events.');
+
+bloodRequestSchema.pre(['replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Request history is append-only'));
+});
+
+bloodRequestSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const stages = Array.isArray(update) ? update : [update];
+
+  const rewritten = stages.some(stage => Object.entries(stage).some(([operator, fields]) => {
+    if (operator === '$push') {
+      const push = fields?.events;
+      return Boolean(push && (push.$position !== undefined || push.$slice !== undefined || push.$sort !== undefined));
+    }
+    if (!operator.startsWith('$')) return touchesEvents(operator);
+    const paths = fields && typeof fields === 'object' && !Array.isArray(fields)
+      ? Object.keys(fields)
+      : [].concat(fields);
+    return paths.some(path => typeof path === 'string' && touchesEvents(path));
+  }));
+
+  if (rewritten) {
+    return next(new Error('Request history is append-only'));
+  }
+  next();
+});
 
 // Virtual for time since request
 bloodRequestSchema.virtual('timeSinceRequest').get(function() {
-  return Date.now() - this.createdAt.getTime();
+  return this.createdAt ? Date.now() - this.createdAt.getTime() : undefined;
+});
+
+// Virtual for units still to be collected
+bloodRequestSchema.virtual('remainingUnits').get(function() {
+  if (this.requiredUnits === undefined || !this.matchedDonors) return undefined;
+  return Math.max(this.requiredUnits - this.getDonatedUnits(), 0);
 });
 
-// Method to get compatible blood types
+// Method to total units collected so far
+bloodRequestSchema.methods.getDonatedUnits = function() {
+  return this.matchedDonors.reduce((total, match) => total + (match.donatedUnits || 0), 0);
+};
+
+// Method to total units covered by accepted pledges and completed donations
+bloodRequestSchema.methods.getPledgedUnits = function() {
+  return this.matchedDonors.reduce((total, match) => {
+    if (match.status === 'accepted') return total + match.pledgedUnits;
+    if (match.status === 'completed') return total + match.donatedUnits;
+    return total;
+  }, 0);
+};
+
+// Method to check if pledges cover every required unit
+bloodRequestSchema.methods.isFullyPledged = function() {
+  return this.getPledgedUnits() >= this.requiredUnits;
+};
+
+// Method to get compatible donor blood types for the requested component
 bloodRequestSchema.methods.getCompatibleBloodTypes = function() {
-  const compatibility = {
-    'A+': ['A+', 'A-', 'O+', 'O-'],
-    'A-': ['A-', 'O-'],
-    'B+': ['B+', 'B-', 'O+', 'O-'],
-    'B-': ['B-', 'O-'],
-    'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-    'AB-': ['A-', 'B-', 'AB-', 'O-'],
-    'O+': ['O+', 'O-'],
-    'O-': ['O-']
+  return compatibility.getCompatibleDonorTypes(this.bloodType, this.component);
+};
+
+// The facility's name, address, location and contact as `hospital` details.
+// They are copied rather than populated so geo queries on hospital.location
+// keep working.
+function hospitalFrom(facility) {
+  return {
+    name: facility.name,
+    address: facility.address,
+    location: { type: 'Point', coordinates: facility.location.coordinates },
+    contact: facility.contact
   };
-  
-  return compatibility[this.bloodType] || [];
+}
+
+// Method to attach the request to a facility
+bloodRequestSchema.methods.setFacility = function(facility) {
+  this.facility = facility._id;
+  this.hospital = hospitalFrom(facility);
+};
+
+// Recopy a facility's details into its open requests after it changes.
+// Closed requests keep the details they were handled under.
+bloodRequestSchema.statics.syncFacility = function(facility) {
+  return this.updateMany(
+    { facility: facility._id, status: { $in: lifecycle.OPEN_STATUSES } },
+    { $set: { hospital: hospitalFrom(facility) } }
+  );
 };
 
 // Method to check if request is still active
 bloodRequestSchema.methods.isActive = function() {
-  return this.status === 'active' || this.status === 'matched';
+  return lifecycle.OPEN_STATUSES.includes(this.status);
 };
 
 module.exports = mongoose.model('BloodRequest', bloodRequestSchema);
+module.exports.URGENCIES = URGENCIES;
+module.exports.URGENCY_RANK = URGENCY_RANK;
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { BLOOD_TYPES } = require('../shared/compatibility');
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Facility running the drive, if any; its staff can check donors in
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility'
+  },
+  venue: {
+    name: {
+      type: String,
+      required: true
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+      }
+    }
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  targetDonors: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Blood groups the drive is short of; empty means all are welcome
+  targetBloodGroups: [{
+    type: String,
+    enum: BLOOD_TYPES
+  }],
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  registrations: [{
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bloodType: String,
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Walk-ins are checked in without registering first
+    walkIn: {
+      type: Boolean,
+      default: false
+    },
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Kept alongside registrations so listings need not load them
+  registeredCount: {
+    type: Number,
+    default: 0
+  },
+  checkedInCount: {
+    type: Number,
+    default: 0
+  },
+  messages: [{
+    title: String,
+    body: String,
+    audience: {
+      type: String,
+      enum: ['registered', 'checked_in', 'not_checked_in']
+    },
+    recipients: Number,
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+campaignSchema.index({ 'venue.location': '2dsphere' });
+campaignSchema.index({ status: 1, endsAt: 1 });
+campaignSchema.index({ organizer: 1, startsAt: -1 });
+campaignSchema.index({ 'registrations.donor': 1 });
+
+// Virtual for where the campaign stands in its schedule
+campaignSchema.virtual('phase').get(function() {
+  if (this.status === 'cancelled') return 'cancelled';
+  const now = new Date();
+  if (this.startsAt > now) return 'upcoming';
+  return this.endsAt > now ? 'live' : 'ended';
+});
+
+// Method to check if a donor can still sign up
+campaignSchema.methods.isOpenForRegistration = function() {
+  return this.status === 'scheduled' && this.endsAt > new Date();
+};
+
+// Method to find a donor's registration
+campaignSchema.methods.registrationOf = function(donorId) {
+  return this.registrations.find(registration => registration.donor.equals(donorId));
+};
+
+// Progress against the donor goal, with check-ins per blood group
+campaignSchema.methods.getProgress = function() {
+  const byBloodGroup = {};
+  this.registrations
+    .filter(registration => registration.checkedInAt)
+    .forEach(registration => {
+      const group = registration.bloodType || 'unknown';
+      byBloodGroup[group] = (byBloodGroup[group] || 0) + 1;
+    });
+
+  return {
+    targetDonors: this.targetDonors,
+    registered: this.registeredCount,
+    checkedIn: this.checkedInCount,
+    percentOfGoal: Math.round(this.checkedInCount / this.targetDonors * 1000) / 10,
+    targetBloodGroups: this.targetBloodGroups,
+    byBloodGroup
+  };
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
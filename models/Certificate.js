@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { COMPONENTS } = require('../shared/compatibility');
+
+// Donation certificate. Printed fields are copied from the donation when it
+// is issued and covered by `signature`, so later edits invalidate it.
+const certificateSchema = new mongoose.Schema({
+  // Public id printed on the certificate and used in the verification URL
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    required: true,
+    unique: true
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  donorName: {
+    type: String,
+    required: true
+  },
+  donatedAt: {
+    type: Date,
+    required: true
+  },
+  facilityName: {
+    type: String,
+    required: true
+  },
+  component: {
+    type: String,
+    enum: COMPONENTS,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  revokedAt: Date,
+  revocationReason: String
+}, {
+  timestamps: true
+});
+
+certificateSchema.index({ donor: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { BLOOD_TYPES } = require('../shared/compatibility');
+
+// Time-bounded goal, e.g. "donate twice this month"
+const challengeSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  metric: {
+    type: String,
+    enum: ['donations', 'emergency_responses', 'campaign_attendance', 'points'],
+    required: true
+  },
+  target: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Optional restrictions on who may take part
+  city: String,
+  bloodTypes: [{
+    type: String,
+    enum: BLOOD_TYPES
+  }],
+  rewardPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  completedBy: [{
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+challengeSchema.index({ startsAt: 1, endsAt: 1 });
+
+// Method to check if a donor may take part
+challengeSchema.methods.isOpenTo = function(donor) {
+  if (this.city && (donor.address?.city || '').toLowerCase() !== this.city.toLowerCase()) return false;
+  if (this.bloodTypes.length && !this.bloodTypes.includes(donor.bloodType)) return false;
+  return true;
+};
+
+module.exports = mongoose.model('Challenge', challengeSchema);
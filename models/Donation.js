@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { COMPONENTS } = require('../shared/compatibility');
+
+// Rough number of patients helped per unit of each component
+const LIVES_PER_UNIT = {
+  whole_blood: 3,
+  rbc: 1,
+  platelets: 2,
+  plasma: 1
+};
+
+const donationSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest'
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility'
+  },
+  facilityName: String,
+  component: {
+    type: String,
+    enum: COMPONENTS,
+    default: 'whole_blood'
+  },
+  units: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  donatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  outcome: {
+    type: String,
+    enum: ['completed', 'incomplete', 'deferred', 'adverse_reaction'],
+    default: 'completed'
+  },
+  // Pre-donation hemoglobin reading in g/dL
+  hemoglobin: {
+    type: Number,
+    min: 0,
+    max: 25
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+donationSchema.index({ donor: 1, donatedAt: -1 });
+donationSchema.index({ request: 1 });
+
+// Virtual for estimated lives impacted by this donation
+donationSchema.virtual('livesImpacted').get(function() {
+  if (this.outcome !== 'completed') return 0;
+  return this.units * (LIVES_PER_UNIT[this.component] || 1);
+});
+
+module.exports = mongoose.model('Donation', donationSchema);
+module.exports.LIVES_PER_UNIT = LIVES_PER_UNIT;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const STAFF_ROLES = ['manager', 'coordinator', 'nurse', 'lab', 'staff'];
+
+// What each staff role may do at its facility
+const PERMISSIONS = {
+  manage_facility: ['manager'],
+  manage_staff: ['manager'],
+  manage_requests: ['manager', 'coordinator', 'nurse'],
+  confirm_donations: ['manager', 'coordinator', 'nurse', 'lab'],
+  manage_appointments: ['manager', 'coordinator', 'nurse'],
+  manage_inventory: STAFF_ROLES
+};
+
+// Permissions that act for the facility outside it. Anyone can create a
+// facility, so these wait until an admin has verified its location.
+const VERIFIED_PERMISSIONS = ['manage_requests', 'confirm_donations', 'manage_appointments', 'manage_inventory'];
+
+const facilitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['hospital', 'blood_bank'],
+    required: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  // Set by an admin once the address and coordinates have been checked
+  locationVerified: {
+    type: Boolean,
+    default: false
+  },
+  locationVerifiedAt: Date,
+  locationVerifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  contact: {
+    phone: String,
+    email: String
+  },
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      default: 'staff'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Units below which a blood group/component is reported as low stock
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for geospatial queries
+facilitySchema.index({ location: '2dsphere' });
+facilitySchema.index({ 'staff.user': 1 });
+
+// Method to check if a user works at this facility
+facilitySchema.methods.isStaff = function(userId) {
+  return this.staff.some(member => member.user.equals(userId));
+};
+
+// Method to check if a staff member's role grants a permission
+facilitySchema.methods.can = function(userId, permission) {
+  if (VERIFIED_PERMISSIONS.includes(permission) && !this.locationVerified) return false;
+  const member = this.staff.find(staff => staff.user.equals(userId));
+  return Boolean(member && PERMISSIONS[permission]?.includes(member.role));
+};
+
+// Staff user ids whose role grants a permission
+facilitySchema.methods.staffWith = function(permission) {
+  if (VERIFIED_PERMISSIONS.includes(permission) && !this.locationVerified) return [];
+  return this.staff
+    .filter(member => PERMISSIONS[permission]?.includes(member.role))
+    .map(member => member.user);
+};
+
+module.exports = mongoose.model('Facility', facilitySchema);
+module.exports.STAFF_ROLES = STAFF_ROLES;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.VERIFIED_PERMISSIONS = VERIFIED_PERMISSIONS;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { BLOOD_TYPES: BLOOD_GROUPS, COMPONENTS } = require('../shared/compatibility');
+
+// Units on hand at a facility for one blood group and component
+const inventorySchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: true
+  },
+  component: {
+    type: String,
+    enum: COMPONENTS,
+    default: 'whole_blood'
+  },
+  units: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inventorySchema.index({ facility: 1, bloodGroup: 1, component: 1 }, { unique: true });
+inventorySchema.index({ bloodGroup: 1, component: 1, units: 1 });
+
+// Every stock change, kept as an append-only history
+const inventoryChangeSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: true
+  },
+  component: {
+    type: String,
+    enum: COMPONENTS,
+    required: true
+  },
+  previousUnits: {
+    type: Number,
+    required: true
+  },
+  units: {
+    type: Number,
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['donation', 'transfusion', 'transfer', 'expiry', 'adjustment'],
+    default: 'adjustment'
+  },
+  note: {
+    type: String,
+    maxlength: 200
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inventoryChangeSchema.index({ facility: 1, createdAt: -1 });
+
+const Inventory = mongoose.model('Inventory', inventorySchema);
+const InventoryChange = mongoose.model('InventoryChange', inventoryChangeSchema);
+
+module.exports = Inventory;
+module.exports.InventoryChange = InventoryChange;
+module.exports.BLOOD_GROUPS = BLOOD_GROUPS;
+module.exports.COMPONENTS = COMPONENTS;
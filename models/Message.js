@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A message relayed between the requesting side of a blood request and one
+// donor. Neither side sees the other's contact details until the donor
+// accepts, so conversations go through the platform.
+const messageSchema = new mongoose.Schema({
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    required: true
+  },
+  // Donor the conversation is with; one thread per donor and request
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['donor', 'requester'],
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ request: 1, donor: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['blood_request', 'donor_match', 'request_update', 'donation_reminder', 'system_alert'],
+    enum: ['blood_request', 'donor_match', 'donor_response', 'request_update', 'appointment_update', 'campaign_update', 'reward_earned', 'donation_reminder', 'message', 'system_alert'],
     required: true
   },
   title: {
@@ -23,10 +23,22 @@ const notificationSchema = new mongoose.Schema({
     requestId: mongoose.Schema.Types.ObjectId,
     donorId: mongoose.Schema.Types.ObjectId,
     patientId: mongoose.Schema.Types.ObjectId,
+    facilityId: mongoose.Schema.Types.ObjectId,
+    appointmentId: mongoose.Schema.Types.ObjectId,
+    campaignId: mongoose.Schema.Types.ObjectId,
+    challengeId: mongoose.Schema.Types.ObjectId,
+    messageId: mongoose.Schema.Types.ObjectId,
+    badge: String,
+    points: Number,
+    startsAt: Date,
     hospitalName: String,
     bloodType: String,
+    component: String,
+    units: Number,
     urgency: String,
-    distance: Number
+    status: String,
+    distance: Number,
+    etaMinutes: Number
   },
   isRead: {
     type: Boolean,
@@ -41,7 +53,30 @@ const notificationSchema = new mongoose.Schema({
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
-  }
+  },
+  deliveries: [{
+    channel: {
+      type: String,
+      enum: ['push', 'sms', 'email', 'in_app'],
+      required: true
+    },
+    // `stored`: the recipient was offline and reads it from their inbox
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'stored', 'failed'],
+      default: 'pending'
+    },
+    provider: String,
+    providerMessageId: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    sentAt: Date,
+    error: String
+  }]
 }, {
   timestamps: true
 });
@@ -49,5 +84,6 @@ const notificationSchema = new mongoose.Schema({
 // Index for efficient queries
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ type: 1, priority: 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Password reset tokens and email/phone verification codes. Only a hash of
+// the code is stored; it can be used once and only until it expires.
+const oneTimeCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'verify_email', 'verify_phone'],
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  // Address the code was sent to; verifying proves ownership of this value
+  sentTo: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+oneTimeCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+oneTimeCodeSchema.index({ codeHash: 1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One line of a donor's points ledger. Entries are only written by the
+// server when it confirms the underlying event, never from client input.
+const pointsEntrySchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['donation', 'emergency_response', 'campaign_attendance', 'challenge'],
+    required: true
+  },
+  // The confirmed event the points were awarded for
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'sourceType'
+  },
+  sourceType: {
+    type: String,
+    enum: ['BloodRequest', 'Campaign', 'Challenge'],
+    required: true
+  },
+  data: {
+    units: Number,
+    urgency: String,
+    donation: mongoose.Schema.Types.ObjectId
+  },
+  // Donor details at award time, for leaderboards
+  snapshot: {
+    city: String,
+    bloodType: String,
+    organization: String
+  }
+}, {
+  timestamps: true
+});
+
+// A donor is credited at most once per reason and event
+pointsEntrySchema.index({ donor: 1, reason: 1, source: 1 }, { unique: true });
+pointsEntrySchema.index({ createdAt: -1, 'snapshot.city': 1 });
+pointsEntrySchema.index({ createdAt: -1, 'snapshot.bloodType': 1 });
+pointsEntrySchema.index({ createdAt: -1, 'snapshot.organization': 1 });
+
+module.exports = mongoose.model('PointsEntry', pointsEntrySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const compatibility = require('../shared/compatibility');
+const eligibility = require('../services/eligibility');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -29,7 +31,7 @@ const userSchema = new mongoose.Schema({
   },
   bloodType: {
     type: String,
-    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+    enum: compatibility.BLOOD_TYPES,
     required: function() {
       return this.userType === 'donor';
     }
@@ -53,38 +55,156 @@ const userSchema = new mongoose.Schema({
     state: String,
     zipCode: String
   },
+  // Employer, college or club the donor represents on leaderboards
+  organization: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  dateOfBirth: Date,
+  sex: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  // Body weight in kg
+  weight: {
+    type: Number,
+    min: 0
+  },
+  // Latest hemoglobin reading in g/dL
+  hemoglobin: {
+    type: Number,
+    min: 0,
+    max: 25
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
+  verification: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    // The approved document that verified the user, if any
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VerificationDocument'
+    }
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: Date,
+  suspensionReason: String,
+  // Set once the user proves they own the address with a one-time code
+  emailVerifiedAt: Date,
+  phoneVerifiedAt: Date,
+  // Consecutive failed logins; reaching the limit locks the account
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  passwordChangedAt: Date,
   lastDonationDate: {
     type: Date,
     default: null
   },
+  lastDonationComponent: {
+    type: String,
+    enum: [...compatibility.COMPONENTS, null],
+    default: null
+  },
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // No request alerts until then; unlike isAvailable it lapses by itself
+  snoozeUntil: {
+    type: Date,
+    default: null
+  },
+  // Furthest the donor will travel to donate, straight-line km
+  maxTravelKm: {
+    type: Number,
+    min: 1,
+    default: null
+  },
   emergencyContact: {
     name: String,
     phone: String,
     relationship: String
   },
   medicalHistory: [{
+    // Deferral id from the eligibility ruleset; only coded entries defer
+    code: String,
     condition: String,
     date: Date,
     notes: String
   }],
+  notificationPreferences: {
+    channels: {
+      sms: {
+        type: Boolean,
+        default: true
+      },
+      email: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Channels to use per priority instead of the defaults in
+    // services/notifications/channels; in-app is always used
+    byPriority: {
+      urgent: { type: [{ type: String, enum: ['sms', 'email'] }], default: undefined },
+      high: { type: [{ type: String, enum: ['sms', 'email'] }], default: undefined },
+      medium: { type: [{ type: String, enum: ['sms', 'email'] }], default: undefined },
+      low: { type: [{ type: String, enum: ['sms', 'email'] }], default: undefined }
+    },
+    // Local "HH:MM" times; only urgent notifications go out in between
+    quietHours: {
+      start: String,
+      end: String,
+      timezone: {
+        type: String,
+        default: 'Asia/Kolkata'
+      }
+    },
+    // Blood request alerts in any rolling seven days
+    maxAlertsPerWeek: {
+      type: Number,
+      min: 1,
+      default: null
+    }
+  },
   avatar: {
     type: String,
     default: null
-  }
+  },
+  // Badges earned from the points ledger (see services/rewards)
+  badges: [{
+    badge: String,
+    awardedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
 // Index for geospatial queries
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ userType: 1, 'verification.status': 1, createdAt: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -99,24 +219,23 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Full eligibility result with failing rules (see services/eligibility)
+userSchema.methods.checkEligibility = function(options = {}) {
+  return eligibility.evaluate(this, options);
+};
+
 // Check if donor is eligible
-userSchema.methods.isEligibleToDonate = function() {
-  if (this.userType !== 'donor') return false;
-  if (!this.isAvailable) return false;
-  if (!this.isVerified) return false;
-  
-  // Check if last donation was more than 56 days ago
-  if (this.lastDonationDate) {
-    const daysSinceLastDonation = (Date.now() - this.lastDonationDate.getTime()) / (1000 * 60 * 60 * 24);
-    if (daysSinceLastDonation < 56) return false;
-  }
-  
-  return true;
+userSchema.methods.isEligibleToDonate = function(component) {
+  return this.checkEligibility({ component }).eligible;
 };
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const verificationDocumentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: ['blood_group_card', 'lab_report', 'id'],
+    required: true
+  },
+  file: {
+    path: {
+      type: String,
+      required: true
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number
+  },
+  ocr: {
+    text: String,
+    // Tesseract's mean word confidence, 0-100
+    confidence: Number,
+    error: String
+  },
+  extracted: {
+    name: String,
+    bloodGroup: String,
+    testDate: Date
+  },
+  // Disagreements between the document and the user's profile
+  flags: [{
+    field: String,
+    expected: String,
+    found: String,
+    message: String
+  }],
+  // Overall confidence in the document matching the user, 0-1
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['auto_verified', 'needs_review', 'approved', 'rejected'],
+    default: 'needs_review'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+verificationDocumentSchema.index({ user: 1, createdAt: -1 });
+verificationDocumentSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('VerificationDocument', verificationDocumentSchema);
@@ -0,0 +1,573 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const BloodRequest = require('../models/BloodRequest');
+const Donation = require('../models/Donation');
+const Notification = require('../models/Notification');
+const AdminAction = require('../models/AdminAction');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const dispatcher = require('../services/dispatcher');
+const notifications = require('../services/notifications');
+const realtime = require('../services/realtime');
+const { getRequestOwners } = require('../services/requests');
+const fulfillment = require('../services/fulfillment');
+const lifecycle = require('../services/lifecycle');
+const Facility = require('../models/Facility');
+const Certificate = require('../models/Certificate');
+const router = express.Router();
+
+// Every admin route needs an authenticated admin
+router.use(auth, authorize(authorize.admin));
+
+const USER_FIELDS = '-password -medicalHistory';
+
+// Record an admin action in the audit log
+function logAction(req, action, targetType, target, reason, details) {
+  return AdminAction.create({
+    admin: req.user.userId,
+    action,
+    targetType,
+    target,
+    reason,
+    details,
+    ip: req.ip
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Reject invalid ids with a 404 before hitting the database. Certificates
+// are addressed by their printed id instead, as :certificateId.
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ message: 'Not found' });
+  }
+  next();
+});
+
+// Donors waiting for verification, oldest first
+router.get('/verification-queue', [
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('page').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    const filter = {
+      userType: 'donor',
+      isVerified: false,
+      'verification.status': { $ne: 'rejected' }
+    };
+
+    const [donors, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ donors, total, page });
+  } catch (error) {
+    console.error('Get verification queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a donor's verification
+router.post('/users/:id/verify', [
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('reason').if(body('decision').equals('reject'))
+    .trim().notEmpty().withMessage('A reason is required when rejecting'),
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decision, reason } = req.body;
+    const approved = decision === 'approve';
+
+    const user = await User.findById(req.params.id).select(USER_FIELDS);
+    if (!user || user.userType !== 'donor') {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    user.isVerified = approved;
+    user.verification = {
+      status: approved ? 'approved' : 'rejected',
+      reason,
+      reviewedBy: req.user.userId,
+      reviewedAt: new Date()
+    };
+    await user.save();
+
+    await logAction(req, approved ? 'verify_approve' : 'verify_reject', 'User', user._id, reason);
+
+    await notifications.notify({
+      recipient: user._id,
+      type: 'system_alert',
+      title: approved ? 'You are verified' : 'Verification rejected',
+      message: approved
+        ? 'Your donor profile has been verified. You will now receive matching blood requests.'
+        : `Your donor verification was rejected: ${reason}`,
+      priority: 'medium'
+    });
+
+    res.json({
+      message: approved ? 'Donor verified successfully' : 'Donor verification rejected',
+      user
+    });
+  } catch (error) {
+    console.error('Verify donor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Search users by name, email or phone
+router.get('/users', [
+  query('userType').optional().isIn(['donor', 'patient', 'admin']),
+  query('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']),
+  query('suspended').optional().isBoolean(),
+  query('verified').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('page').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, userType, bloodType, suspended, verified } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (userType) filter.userType = userType;
+    if (bloodType) filter.bloodType = bloodType;
+    if (suspended !== undefined) filter.isSuspended = suspended === 'true' ? true : { $ne: true };
+    if (verified !== undefined) filter.isVerified = verified === 'true';
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users, total, page });
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a user with their recent admin history
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const actions = await AdminAction.find({ target: user._id })
+      .populate('admin', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ user, actions });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend a user
+router.post('/users/:id/suspend', [
+  body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.userId.equals(req.params.id)) {
+      return res.status(400).json({ message: 'You cannot suspend yourself' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isSuspended: true, suspendedAt: new Date(), suspensionReason: req.body.reason },
+      { new: true }
+    ).select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await logAction(req, 'user_suspend', 'User', user._id, req.body.reason);
+
+    res.json({ message: 'User suspended successfully', user });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reinstate a suspended user
+router.post('/users/:id/reinstate', [
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isSuspended: false, $unset: { suspendedAt: 1, suspensionReason: 1 } },
+      { new: true }
+    ).select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await logAction(req, 'user_reinstate', 'User', user._id, req.body.reason);
+
+    res.json({ message: 'User reinstated successfully', user });
+  } catch (error) {
+    console.error('Reinstate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grant the admin role to a user
+router.post('/users/:id/promote', [
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.userType === 'admin') {
+      return res.status(409).json({ message: 'User is already an admin' });
+    }
+
+    const previousType = user.userType;
+    user.userType = 'admin';
+    await user.save();
+
+    await logAction(req, 'user_promote', 'User', user._id, req.body.reason, { previousType });
+
+    res.json({ message: 'User promoted to admin', user });
+  } catch (error) {
+    console.error('Promote user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Force-cancel a blood request
+router.post('/requests/:id/cancel', [
+  body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await BloodRequest.findById(req.params.id);
+    if (!request || !request.isActive()) {
+      return res.status(404).json({ message: 'Request not found or cannot be cancelled' });
+    }
+
+    lifecycle.transition(request, 'cancelled', { actor: req.user, reason: req.body.reason });
+    await request.save();
+
+    await dispatcher.stop(request);
+    realtime.events.requestCancelled(request);
+    await logAction(req, 'request_cancel', 'BloodRequest', request._id, req.body.reason);
+
+    const owners = await getRequestOwners(request);
+    await notifications.notify(owners.map(recipient => ({
+      recipient,
+      type: 'request_update',
+      title: 'Request cancelled',
+      message: `Your ${request.bloodType} blood request was cancelled by an administrator: ${req.body.reason}`,
+      data: { requestId: request._id, bloodType: request.bloodType },
+      priority: 'high'
+    })));
+
+    res.json({ message: 'Request cancelled successfully', request });
+  } catch (error) {
+    console.error('Force cancel request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a request from one matched donor to another
+router.post('/requests/:id/reassign', [
+  body('fromDonorId').isMongoId().withMessage('Valid fromDonorId is required'),
+  body('toDonorId').isMongoId().withMessage('Valid toDonorId is required'),
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromDonorId, toDonorId, reason } = req.body;
+
+    const request = await BloodRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    if (!request.isActive()) {
+      return res.status(400).json({ message: 'Request is no longer active' });
+    }
+
+    const fromMatch = request.matchedDonors.find(match => match.donor.equals(fromDonorId));
+    if (!fromMatch) {
+      return res.status(404).json({ message: 'Donor is not matched to this request' });
+    }
+
+    if (request.matchedDonors.some(match => match.donor.equals(toDonorId))) {
+      return res.status(409).json({ message: 'New donor is already matched to this request' });
+    }
+
+    const toDonor = await User.findById(toDonorId).select(USER_FIELDS);
+    if (!toDonor || toDonor.userType !== 'donor') {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    if (!request.getCompatibleBloodTypes().includes(toDonor.bloodType)) {
+      return res.status(400).json({ message: 'Donor blood type is not compatible' });
+    }
+
+    fromMatch.status = 'reassigned';
+    fromMatch.respondedAt = new Date();
+    fromMatch.notes = 'Reassigned by administrator';
+
+    request.matchedDonors.push({ donor: toDonor._id, status: 'pending' });
+    lifecycle.record(request, 'donor_reassigned', {
+      actor: req.user,
+      reason,
+      data: { from: fromMatch.donor, to: toDonor._id }
+    });
+
+    // Losing an accepted donor may leave the pledges short
+    fulfillment.syncMatchStatus(request, req.user);
+
+    await request.save();
+    await logAction(req, 'request_reassign', 'BloodRequest', request._id, reason, { fromDonorId, toDonorId });
+
+    await notifications.notify({
+      recipient: toDonor._id,
+      type: 'blood_request',
+      title: `${request.bloodType} blood needed`,
+      message: `You have been asked to donate ${request.bloodType} blood at ${request.hospital.name}`,
+      data: {
+        requestId: request._id,
+        hospitalName: request.hospital.name,
+        bloodType: request.bloodType,
+        urgency: request.urgency
+      },
+      priority: request.urgency === 'critical' ? 'urgent' : 'high'
+    });
+
+    res.json({ message: 'Request reassigned successfully', request });
+  } catch (error) {
+    console.error('Reassign request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a donation certificate, e.g. one issued for a donation recorded in error
+router.post('/certificates/:certificateId/revoke', [
+  body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    if (certificate.revokedAt) {
+      return res.status(400).json({ message: 'Certificate is already revoked' });
+    }
+
+    certificate.revokedAt = new Date();
+    certificate.revocationReason = req.body.reason;
+    await certificate.save();
+
+    await logAction(req, 'certificate_revoke', 'Certificate', certificate._id, req.body.reason);
+
+    res.json({ message: 'Certificate revoked', certificate });
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a facility's address and coordinates as checked
+router.post('/facilities/:id/verify-location', [
+  body('coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const facility = await Facility.findById(req.params.id);
+    if (!facility) {
+      return res.status(404).json({ message: 'Facility not found' });
+    }
+
+    // Admins may correct the coordinates while verifying
+    if (req.body.coordinates) {
+      facility.location = { type: 'Point', coordinates: req.body.coordinates };
+    }
+    facility.locationVerified = true;
+    facility.locationVerifiedAt = new Date();
+    facility.locationVerifiedBy = req.user.userId;
+    await facility.save();
+    await BloodRequest.syncFacility(facility);
+
+    await logAction(req, 'facility_verify', 'Facility', facility._id, req.body.reason, {
+      coordinates: facility.location.coordinates
+    });
+
+    res.json({ message: 'Facility location verified', facility });
+  } catch (error) {
+    console.error('Verify facility error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Platform-wide metrics
+router.get('/metrics', async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [
+      usersByType,
+      verifiedDonors,
+      pendingVerification,
+      suspendedUsers,
+      requestsByStatus,
+      requestsByUrgency,
+      donationsTotal,
+      donationsLast30Days,
+      failedDeliveries
+    ] = await Promise.all([
+      User.aggregate([{ $group: { _id: '$userType', count: { $sum: 1 } } }]),
+      User.countDocuments({ userType: 'donor', isVerified: true }),
+      User.countDocuments({ userType: 'donor', isVerified: false, 'verification.status': { $ne: 'rejected' } }),
+      User.countDocuments({ isSuspended: true }),
+      BloodRequest.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      BloodRequest.aggregate([{ $group: { _id: '$urgency', count: { $sum: 1 } } }]),
+      Donation.countDocuments({ outcome: 'completed' }),
+      Donation.countDocuments({ outcome: 'completed', donatedAt: { $gte: since } }),
+      Notification.countDocuments({ 'deliveries.status': 'failed', createdAt: { $gte: since } })
+    ]);
+
+    const toMap = rows => rows.reduce((map, row) => ({ ...map, [row._id]: row.count }), {});
+    const statusCounts = toMap(requestsByStatus);
+    const closed = lifecycle.STATUSES
+      .filter(status => !lifecycle.OPEN_STATUSES.includes(status))
+      .reduce((total, status) => total + (statusCounts[status] || 0), 0);
+
+    res.json({
+      users: {
+        byType: toMap(usersByType),
+        verifiedDonors,
+        pendingVerification,
+        suspended: suspendedUsers
+      },
+      requests: {
+        byStatus: statusCounts,
+        byUrgency: toMap(requestsByUrgency),
+        fulfillmentRate: closed ? Math.round((statusCounts.completed || 0) / closed * 1000) / 1000 : null
+      },
+      donations: {
+        total: donationsTotal,
+        last30Days: donationsLast30Days
+      },
+      notifications: {
+        failedDeliveriesLast30Days: failedDeliveries
+      }
+    });
+  } catch (error) {
+    console.error('Get metrics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Audit log of admin actions
+router.get('/actions', [
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('before').optional().isISO8601(),
+  query('action').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.before) filter.createdAt = { $lt: new Date(req.query.before) };
+
+    const actions = await AdminAction.find(filter)
+      .populate('admin', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit, 10) || 50);
+
+    res.json({ actions });
+  } catch (error) {
+    console.error('Get admin actions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,402 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const AppointmentSlot = require('../models/AppointmentSlot');
+const Facility = require('../models/Facility');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const appointments = require('../services/appointments');
+const ics = require('../services/ics');
+const { COMPONENTS } = require('../shared/compatibility');
+const router = express.Router();
+
+function sendError(res, error, label) {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Server error' });
+}
+
+// Load a slot and check the current user manages appointments at its
+// facility, or send the error response
+async function findManagedSlot(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Slot not found' });
+    return null;
+  }
+
+  const slot = await AppointmentSlot.findById(req.params.id).populate('facility');
+  if (!slot) {
+    res.status(404).json({ message: 'Slot not found' });
+    return null;
+  }
+
+  req.facility = slot.facility;
+  if (!await authorize.permits(req, res, authorize.facilityStaff('manage_appointments'), 'Not authorized to manage appointments at this facility')) {
+    return null;
+  }
+
+  return slot;
+}
+
+// Publish a slot at a facility or at a drive it runs (facility staff only)
+router.post('/slots', auth, [
+  body('facilityId').isMongoId().withMessage('Valid facility id is required'),
+  body('kind').optional().isIn(['facility', 'drive']),
+  body('title').optional().trim().isLength({ max: 120 }),
+  body('venue.name').if(body('kind').equals('drive'))
+    .notEmpty().withMessage('Drive venue name is required'),
+  body('venue.location.coordinates').if(body('kind').equals('drive'))
+    .isArray({ min: 2, max: 2 }).withMessage('Drive venue coordinates are required'),
+  body('component').optional().isIn(COMPONENTS).withMessage('Invalid blood component'),
+  body('startsAt').isISO8601().withMessage('Valid start time is required'),
+  body('endsAt').isISO8601().withMessage('Valid end time is required'),
+  body('capacity').isInt({ min: 1, max: 500 }).withMessage('Capacity must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { facilityId, kind = 'facility', title, venue, component, capacity } = req.body;
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+
+    if (startsAt <= new Date()) {
+      return res.status(400).json({ message: 'Slot must start in the future' });
+    }
+
+    if (endsAt <= startsAt) {
+      return res.status(400).json({ message: 'Slot must end after it starts' });
+    }
+
+    const facility = await Facility.findById(facilityId);
+    if (!facility) {
+      return res.status(404).json({ message: 'Facility not found' });
+    }
+
+    req.facility = facility;
+    if (!await authorize.permits(req, res, authorize.facilityStaff('manage_appointments'), 'Not authorized to publish slots for this facility')) {
+      return;
+    }
+
+    const slot = await AppointmentSlot.create({
+      facility: facility._id,
+      kind,
+      title,
+      venue: kind === 'drive' ? venue : {
+        name: facility.name,
+        address: facility.address,
+        location: { type: 'Point', coordinates: facility.location.coordinates }
+      },
+      component,
+      startsAt,
+      endsAt,
+      capacity,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Slot published successfully',
+      slot
+    });
+  } catch (error) {
+    console.error('Create slot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upcoming open slots, optionally near a point or at a facility
+router.get('/slots', [
+  query('facilityId').optional().isMongoId(),
+  query('component').optional().isIn(COMPONENTS),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('lat').optional().isFloat({ min: -90, max: 90 }),
+  query('lng').optional().isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isFloat({ min: 1, max: 200 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { facilityId, component, lat, lng, radius = 25 } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+
+    const filter = {
+      status: 'open',
+      startsAt: { $gt: from > new Date() ? from : new Date() },
+      $expr: { $lt: ['$bookedCount', '$capacity'] }
+    };
+    if (req.query.to) filter.startsAt.$lte = new Date(req.query.to);
+    if (facilityId) filter.facility = facilityId;
+    if (component) filter.component = component;
+
+    if (lat !== undefined && lng !== undefined) {
+      filter['venue.location'] = {
+        $geoWithin: {
+          $centerSphere: [[parseFloat(lng), parseFloat(lat)], parseFloat(radius) / 6378.1]
+        }
+      };
+    }
+
+    const slots = await AppointmentSlot.find(filter)
+      .select('-waitlist')
+      .populate('facility', 'name type contact')
+      .sort({ startsAt: 1 })
+      .limit(limit);
+
+    res.json({ slots });
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bookings and waitlist of a slot (facility staff only)
+router.get('/slots/:id/appointments', auth, async (req, res) => {
+  try {
+    const slot = await findManagedSlot(req, res);
+    if (!slot) return;
+
+    const booked = await Appointment.find({ slot: slot._id, status: { $ne: 'cancelled' } })
+      .populate('donor', 'name phone bloodType')
+      .sort({ createdAt: 1 });
+    await slot.populate('waitlist.donor', 'name phone bloodType');
+
+    res.json({ slot, appointments: booked, waitlist: slot.waitlist });
+  } catch (error) {
+    console.error('Get slot appointments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a slot and every booking in it (facility staff only)
+router.delete('/slots/:id', auth, [
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slot = await findManagedSlot(req, res);
+    if (!slot) return;
+
+    const cancelled = await appointments.cancelSlot(slot, { reason: req.body.reason });
+
+    res.json({
+      message: 'Slot cancelled successfully',
+      cancelledAppointments: cancelled
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancel slot');
+  }
+});
+
+// Book a slot, optionally for a blood request the donor accepted
+router.post('/slots/:id/book', auth, authorize(authorize.role('donor')), [
+  param('id').isMongoId().withMessage('Invalid slot id'),
+  body('requestId').optional().isMongoId().withMessage('Invalid request id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await appointments.book(req.user.userId, req.params.id, {
+      requestId: req.body.requestId
+    });
+
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      appointment
+    });
+  } catch (error) {
+    sendError(res, error, 'Book slot');
+  }
+});
+
+// Join the waitlist of a full slot
+router.post('/slots/:id/waitlist', auth, authorize(authorize.role('donor')), [
+  param('id').isMongoId().withMessage('Invalid slot id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { position } = await appointments.joinWaitlist(req.user.userId, req.params.id);
+
+    res.status(201).json({
+      message: 'Added to the waitlist',
+      position
+    });
+  } catch (error) {
+    sendError(res, error, 'Join waitlist');
+  }
+});
+
+router.delete('/slots/:id/waitlist', auth, [
+  param('id').isMongoId().withMessage('Invalid slot id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await appointments.leaveWaitlist(req.user.userId, req.params.id);
+    res.json({ message: 'Removed from the waitlist' });
+  } catch (error) {
+    sendError(res, error, 'Leave waitlist');
+  }
+});
+
+// Current donor's appointments
+router.get('/mine', auth, [
+  query('status').optional().isIn(['booked', 'cancelled', 'completed', 'no_show'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { donor: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const mine = await Appointment.find(filter)
+      .populate('slot', 'kind title venue component startsAt endsAt')
+      .populate('facility', 'name contact')
+      .sort({ startsAt: -1 });
+
+    res.json({ appointments: mine });
+  } catch (error) {
+    console.error('Get appointments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load an appointment the current donor holds, or send the error response
+async function findOwnAppointment(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  const appointment = await Appointment.findOne({ _id: req.params.id, donor: req.user.userId });
+  if (!appointment) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  return appointment;
+}
+
+// Move a booking to another slot
+router.put('/:id/reschedule', auth, [
+  body('slotId').isMongoId().withMessage('Valid slot id is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await findOwnAppointment(req, res);
+    if (!appointment) return;
+
+    const replacement = await appointments.reschedule(appointment, req.body.slotId);
+
+    res.json({
+      message: 'Appointment rescheduled successfully',
+      appointment: replacement
+    });
+  } catch (error) {
+    sendError(res, error, 'Reschedule appointment');
+  }
+});
+
+// Cancel a booking (the donor, or staff at the facility)
+router.put('/:id/cancel', auth, [
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!appointment.donor.equals(req.user.userId)) {
+      req.facility = await Facility.findById(appointment.facility);
+      if (!await authorize.permits(req, res, authorize.facilityStaff('manage_appointments'), 'Not authorized to cancel this appointment')) {
+        return;
+      }
+    }
+
+    await appointments.cancel(appointment, { reason: req.body.reason });
+
+    res.json({
+      message: 'Appointment cancelled successfully',
+      appointment
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancel appointment');
+  }
+});
+
+// Download a booking as an iCalendar file
+router.get('/:id/ics', auth, async (req, res) => {
+  try {
+    const appointment = await findOwnAppointment(req, res);
+    if (!appointment) return;
+
+    await appointment.populate('slot');
+    const { slot } = appointment;
+    const address = slot.venue?.address
+      ? Object.values(slot.venue.address.toObject()).filter(Boolean).join(', ')
+      : '';
+
+    const calendar = ics.buildEvent({
+      uid: `${appointment._id}@blood-donor-matcher`,
+      start: appointment.startsAt,
+      end: appointment.endsAt,
+      summary: `Blood donation at ${appointments.venueName(slot)}`,
+      description: `${slot.component.replace('_', ' ')} donation. Bring a photo ID and eat a light meal beforehand.`,
+      location: [slot.venue?.name, address].filter(Boolean).join(', '),
+      coordinates: slot.venue?.location?.coordinates,
+      cancelled: appointment.status === 'cancelled'
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="appointment-${appointment._id}.ics"`
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Export appointment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
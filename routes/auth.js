@@ -1,19 +1,55 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { forbidden } = require('../middleware/authorize');
+const sessions = require('../services/sessions');
+const codes = require('../services/codes');
+const notifications = require('../services/notifications');
+const geocoding = require('../services/geocoding');
 const router = express.Router();
 
+// Failed logins in a row before the account is locked, and for how long
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Where each verification channel is sent and what it marks as verified
+const VERIFY_CHANNELS = {
+  email: { purpose: 'verify_email', transport: 'email', field: 'email', verifiedField: 'emailVerifiedAt' },
+  phone: { purpose: 'verify_phone', transport: 'sms', field: 'phone', verifiedField: 'phoneVerifiedAt' }
+};
+
+function sendError(res, error, label) {
+  if (error.status === 403) {
+    return forbidden(res, error.message, error.requirement);
+  }
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Server error' });
+}
+
+function clientInfo(req) {
+  return { userAgent: req.get('User-Agent'), ip: req.ip };
+}
+
+function publicUrl() {
+  return (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+}
+
 // Register
 router.post('/register', [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('phone').isMobilePhone('any', { strictMode: true })
+    .withMessage('Please provide a valid phone number including the country code'),
   body('userType').isIn(['donor', 'patient']).withMessage('User type must be donor or patient'),
   body('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']),
-  body('location.coordinates').optional().isArray({ min: 2, max: 2 })
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('pinCode').optional().matches(/^\d{6}$/).withMessage('PIN code must be 6 digits'),
+  body('organization').optional().trim().isLength({ max: 100 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,7 +57,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, phone, userType, bloodType, location, address } = req.body;
+    const { name, email, password, phone, userType, bloodType, location, address, pinCode, organization } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -29,6 +65,20 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
+    // Donors may give coordinates, an address or a PIN code. Patients need
+    // no location, so an address that cannot be found is kept as typed.
+    let place = null;
+    try {
+      place = await geocoding.resolveLocation({ coordinates: location?.coordinates, address, pinCode });
+    } catch (error) {
+      if (userType === 'donor' || !error.status) throw error;
+      place = { address: typeof address === 'string' ? { street: address } : address };
+    }
+
+    if (userType === 'donor' && !place) {
+      return res.status(400).json({ message: 'Donors must give a location, address or PIN code' });
+    }
+
     // Create new user
     const user = new User({
       name,
@@ -37,38 +87,39 @@ router.post('/register', [
       phone,
       userType,
       bloodType: userType === 'donor' ? bloodType : undefined,
-      location: userType === 'donor' && location ? location : undefined,
-      address
+      location: userType === 'donor' ? place.location : undefined,
+      address: place?.address,
+      organization
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, userType: user.userType },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const tokens = await sessions.create(user, clientInfo(req));
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         userType: user.userType,
         bloodType: user.bloodType,
-        isVerified: user.isVerified
+        isVerified: user.isVerified,
+        emailVerified: false,
+        phoneVerified: false
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration' });
   }
 });
 
-// Login
+// Login; repeated failures lock the account for a while
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').notEmpty().withMessage('Password is required')
@@ -87,22 +138,56 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (user.isLocked()) {
+      return res.status(423).json({
+        message: 'Account is temporarily locked after too many failed logins',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+      ).select('failedLoginAttempts');
+
+      if (updated.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+        await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil });
+
+        await notifications.notify({
+          recipient: user._id,
+          type: 'system_alert',
+          title: 'Account locked',
+          message: `Your account was locked for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_LOGINS} failed logins. If this was not you, reset your password.`,
+          priority: 'high'
+        });
+
+        return res.status(423).json({
+          message: 'Account is temporarily locked after too many failed logins',
+          lockedUntil
+        });
+      }
+
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, userType: user.userType },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockedUntil: 1 } });
+    }
+
+    if (user.isSuspended) {
+      return forbidden(res, 'Account suspended', 'active_account');
+    }
+
+    const tokens = await sessions.create(user, clientInfo(req));
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -110,7 +195,9 @@ router.post('/login', [
         userType: user.userType,
         bloodType: user.bloodType,
         isVerified: user.isVerified,
-        isAvailable: user.isAvailable
+        isAvailable: user.isAvailable,
+        emailVerified: Boolean(user.emailVerifiedAt),
+        phoneVerified: Boolean(user.phoneVerifiedAt)
       }
     });
   } catch (error) {
@@ -119,17 +206,233 @@ router.post('/login', [
   }
 });
 
-// Get current user
-router.get('/me', async (req, res) => {
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
+    const tokens = await sessions.rotate(req.body.refreshToken, clientInfo(req));
+
+    res.json({ message: 'Token refreshed', ...tokens });
+  } catch (error) {
+    sendError(res, error, 'Refresh token');
+  }
+});
+
+// Sign out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessions.revoke(req.user.sessionId, { user: req.user.userId, reason: 'logout' });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out everywhere, optionally keeping the current session
+router.post('/logout-all', auth, [
+  body('keepCurrent').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await sessions.revokeAll(req.user.userId, {
+      reason: 'logout_all',
+      except: req.body.keepCurrent ? req.user.sessionId : undefined
+    });
+
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Devices the current user is signed in on
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const active = await sessions.list(req.user.userId);
+
+    res.json({
+      sessions: active.map(session => ({
+        ...session.toJSON(),
+        current: session._id.equals(req.user.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await sessions.revoke(req.params.id, { user: req.user.userId, reason: 'revoked' });
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// address has an account.
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      try {
+        const token = await codes.issue(user, 'password_reset', user.email);
+        await codes.send('email', {
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Use this link within an hour to choose a new password:\n\n${publicUrl()}/reset-password?token=${token}\n\nIf you did not ask for this, you can ignore this email.`
+        });
+      } catch (error) {
+        if (!error.status) throw error;
+        console.error('Password reset email error:', error.message);
+      }
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a new password with the emailed token; signs out every session
+router.post('/password/reset', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await codes.redeem('password_reset', req.body.token);
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    // The reset link reached the inbox, which proves the address
+    if (!user.emailVerifiedAt && record.sentTo === user.email) {
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await sessions.revokeAll(user._id, { reason: 'password_reset' });
+
+    res.json({ message: 'Password has been reset; please log in again' });
+  } catch (error) {
+    sendError(res, error, 'Reset password');
+  }
+});
+
+// Send a one-time code to the user's email or phone
+router.post('/verify/:channel', auth, [
+  param('channel').isIn(Object.keys(VERIFY_CHANNELS)).withMessage('Channel must be email or phone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const channel = VERIFY_CHANNELS[req.params.channel];
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user[channel.verifiedField]) {
+      return res.status(400).json({ message: `Your ${req.params.channel} is already verified` });
+    }
+
+    const address = user[channel.field];
+    const code = await codes.issue(user, channel.purpose, address);
+    const text = `Your Blood Donor Matcher verification code is ${code}. It expires in 10 minutes.`;
+
+    await codes.send(channel.transport, channel.transport === 'email'
+      ? { to: address, subject: 'Verify your email', text }
+      : { to: address, body: text });
+
+    res.json({ message: `Verification code sent to your ${req.params.channel}` });
+  } catch (error) {
+    sendError(res, error, 'Send verification code');
+  }
+});
+
+// Confirm ownership of the email or phone with the code that was sent
+router.post('/verify/:channel/confirm', auth, [
+  param('channel').isIn(Object.keys(VERIFY_CHANNELS)).withMessage('Channel must be email or phone'),
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const channel = VERIFY_CHANNELS[req.params.channel];
+    const record = await codes.consume(req.user.userId, channel.purpose, req.body.code);
+
+    // A code only proves the address it was sent to
+    const user = await User.findById(req.user.userId);
+    if (!user || user[channel.field] !== record.sentTo) {
+      return res.status(400).json({ message: `Your ${req.params.channel} changed; please request a new code` });
+    }
+
+    user[channel.verifiedField] = new Date();
+    await user.save();
+
+    res.json({ message: `${req.params.channel === 'email' ? 'Email' : 'Phone'} verified successfully` });
+  } catch (error) {
+    sendError(res, error, 'Confirm verification code');
+  }
+});
+
+// Get current user
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select('-password -failedLoginAttempts -lockedUntil');
+
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -137,9 +440,8 @@ router.get('/me', async (req, res) => {
     res.json({ user });
   } catch (error) {
     console.error('Get user error:', error);
-    res.status(401).json({ message: 'Invalid token' });
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
 module.exports = router;
-
@@ -0,0 +1,554 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Campaign = require('../models/Campaign');
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const notifications = require('../services/notifications');
+const realtime = require('../services/realtime');
+const rewards = require('../services/rewards');
+const { BLOOD_TYPES } = require('../shared/compatibility');
+const router = express.Router();
+
+// Registrations and messages hold donor ids; listings leave them out
+const PUBLIC_FIELDS = '-registrations -messages';
+
+// Rules that do not stop a donor signing up for a drive: availability is
+// implied by registering, and verification and the hemoglobin test happen
+// on site
+const REGISTRATION_IGNORED_RULES = ['available', 'verified', 'hemoglobin'];
+
+// Organizer, admins and (for check-ins) staff of the running facility
+async function canManage(campaign, user, permission) {
+  if (user.userType === 'admin' || campaign.organizer.equals(user.userId)) return true;
+  if (!permission || !campaign.facility) return false;
+
+  const facility = await Facility.findById(campaign.facility);
+  return Boolean(facility && facility.can(user.userId, permission));
+}
+
+// Load a campaign the current user may manage, or send the error response
+async function findManagedCampaign(req, res, permission) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Campaign not found' });
+    return null;
+  }
+
+  const campaign = await Campaign.findById(req.params.id);
+  if (!campaign) {
+    res.status(404).json({ message: 'Campaign not found' });
+    return null;
+  }
+
+  if (!await canManage(campaign, req.user, permission)) {
+    const requirement = permission ? `campaign_organizer or facility:${permission}` : 'campaign_organizer';
+    authorize.forbidden(res, 'Only the organizer can manage this campaign', requirement);
+    return null;
+  }
+
+  return campaign;
+}
+
+function broadcastProgress(campaign) {
+  realtime.emitCampaign('campaign:progress', {
+    campaignId: campaign._id,
+    registered: campaign.registeredCount,
+    checkedIn: campaign.checkedInCount,
+    targetDonors: campaign.targetDonors
+  });
+}
+
+// Notify a set of registrants and return how many were reached
+async function messageRegistrants(campaign, registrations, { title, message, priority = 'medium' }) {
+  await notifications.notify(registrations.map(registration => ({
+    recipient: registration.donor,
+    type: 'campaign_update',
+    title,
+    message,
+    data: { campaignId: campaign._id, startsAt: campaign.startsAt },
+    priority
+  })));
+  return registrations.length;
+}
+
+const campaignValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().notEmpty().withMessage('Campaign name is required').isLength({ max: 120 }),
+    body('description').optional().isLength({ max: 2000 }),
+    field('venue.name').notEmpty().withMessage('Venue name is required'),
+    field('venue.location.coordinates').isArray({ min: 2, max: 2 }).withMessage('Venue coordinates are required'),
+    field('startsAt').isISO8601().withMessage('Valid start time is required'),
+    field('endsAt').isISO8601().withMessage('Valid end time is required'),
+    field('targetDonors').isInt({ min: 1 }).withMessage('Target donors must be at least 1'),
+    body('targetBloodGroups').optional().isArray(),
+    body('targetBloodGroups.*').isIn(BLOOD_TYPES).withMessage('Invalid blood group'),
+    body('facilityId').optional().isMongoId().withMessage('Invalid facility id')
+  ];
+};
+
+// Create a campaign; the creator becomes its organizer
+router.post('/', auth, campaignValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, venue, targetDonors, targetBloodGroups, facilityId } = req.body;
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+
+    if (endsAt <= startsAt || endsAt <= new Date()) {
+      return res.status(400).json({ message: 'Campaign must end in the future and after it starts' });
+    }
+
+    // Only staff may run a campaign in a facility's name
+    if (facilityId) {
+      const facility = await Facility.findById(facilityId);
+      if (!facility) {
+        return res.status(404).json({ message: 'Facility not found' });
+      }
+      req.facility = facility;
+      if (!await authorize.permits(req, res, authorize.facilityStaff('manage_appointments'), 'Not authorized to run campaigns for this facility')) {
+        return;
+      }
+    }
+
+    const campaign = await Campaign.create({
+      name,
+      description,
+      organizer: req.user.userId,
+      facility: facilityId,
+      venue: {
+        name: venue.name,
+        address: venue.address,
+        location: { type: 'Point', coordinates: venue.location.coordinates }
+      },
+      startsAt,
+      endsAt,
+      targetDonors,
+      targetBloodGroups
+    });
+
+    res.status(201).json({
+      message: 'Campaign created successfully',
+      campaign
+    });
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upcoming and live campaigns, optionally near a point or needing a blood group
+router.get('/', [
+  query('lat').optional().isFloat({ min: -90, max: 90 }),
+  query('lng').optional().isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isFloat({ min: 1, max: 500 }),
+  query('bloodGroup').optional().isIn(BLOOD_TYPES),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, radius = 50, bloodGroup } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = { status: 'scheduled', endsAt: { $gt: new Date() } };
+
+    if (lat !== undefined && lng !== undefined) {
+      filter['venue.location'] = {
+        $geoWithin: {
+          $centerSphere: [[parseFloat(lng), parseFloat(lat)], parseFloat(radius) / 6378.1]
+        }
+      };
+    }
+
+    // Campaigns without targets welcome every blood group
+    if (bloodGroup) {
+      filter.$or = [
+        { targetBloodGroups: bloodGroup },
+        { targetBloodGroups: { $size: 0 } }
+      ];
+    }
+
+    const campaigns = await Campaign.find(filter)
+      .select(PUBLIC_FIELDS)
+      .populate('organizer', 'name')
+      .populate('facility', 'name')
+      .sort({ startsAt: 1 })
+      .limit(limit);
+
+    res.json({ campaigns });
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Campaigns the current user organizes or has registered for
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const [organized, registered] = await Promise.all([
+      Campaign.find({ organizer: userId }).select(PUBLIC_FIELDS).sort({ startsAt: -1 }),
+      Campaign.find({ 'registrations.donor': userId }).sort({ startsAt: -1 })
+    ]);
+
+    res.json({
+      organized,
+      registered: registered.map(campaign => {
+        const { registrations, messages, ...summary } = campaign.toJSON();
+        const registration = campaign.registrationOf(userId);
+        return { ...summary, registeredAt: registration.registeredAt, checkedInAt: registration.checkedInAt };
+      })
+    });
+  } catch (error) {
+    console.error('Get my campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public campaign details with progress
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('organizer', 'name')
+      .populate('facility', 'name contact');
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const { registrations, messages, ...summary } = campaign.toJSON();
+    res.json({ campaign: summary, progress: campaign.getProgress() });
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/:id/progress', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json({ phase: campaign.phase, progress: campaign.getProgress() });
+  } catch (error) {
+    console.error('Get campaign progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a campaign; registrants hear about schedule or venue changes
+router.put('/:id', auth, campaignValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campaign = await findManagedCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status === 'cancelled') {
+      return res.status(400).json({ message: 'Campaign has been cancelled' });
+    }
+
+    const { name, description, venue, startsAt, endsAt, targetDonors, targetBloodGroups } = req.body;
+    if (name !== undefined) campaign.name = name;
+    if (description !== undefined) campaign.description = description;
+    if (targetDonors !== undefined) campaign.targetDonors = targetDonors;
+    if (targetBloodGroups !== undefined) campaign.targetBloodGroups = targetBloodGroups;
+    if (venue) {
+      campaign.venue = {
+        name: venue.name || campaign.venue.name,
+        address: venue.address || campaign.venue.address,
+        location: venue.location?.coordinates
+          ? { type: 'Point', coordinates: venue.location.coordinates }
+          : campaign.venue.location
+      };
+    }
+    if (startsAt) campaign.startsAt = new Date(startsAt);
+    if (endsAt) campaign.endsAt = new Date(endsAt);
+
+    if (campaign.endsAt <= campaign.startsAt) {
+      return res.status(400).json({ message: 'Campaign must end after it starts' });
+    }
+
+    const rescheduled = campaign.isModified('startsAt') || campaign.isModified('endsAt') || campaign.isModified('venue');
+    await campaign.save();
+
+    if (rescheduled) {
+      await messageRegistrants(campaign, campaign.registrations, {
+        title: `${campaign.name} has changed`,
+        message: `${campaign.name} is now at ${campaign.venue.name} from ${campaign.startsAt.toLocaleString()} to ${campaign.endsAt.toLocaleString()}`,
+        priority: 'high'
+      });
+    }
+
+    const { registrations, messages, ...summary } = campaign.toJSON();
+    res.json({
+      message: 'Campaign updated successfully',
+      campaign: summary
+    });
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a campaign and tell everyone registered
+router.delete('/:id', auth, [
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campaign = await findManagedCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status === 'cancelled') {
+      return res.status(400).json({ message: 'Campaign is already cancelled' });
+    }
+
+    campaign.status = 'cancelled';
+    campaign.cancelledAt = new Date();
+    campaign.cancellationReason = req.body.reason;
+    await campaign.save();
+
+    await messageRegistrants(campaign, campaign.registrations, {
+      title: `${campaign.name} cancelled`,
+      message: `${campaign.name} on ${campaign.startsAt.toLocaleString()} has been cancelled` +
+        (req.body.reason ? `: ${req.body.reason}` : ''),
+      priority: 'high'
+    });
+
+    realtime.emitCampaign('campaign:cancelled', { campaignId: campaign._id });
+
+    res.json({ message: 'Campaign cancelled successfully' });
+  } catch (error) {
+    console.error('Cancel campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Register the current donor
+router.post('/:id/register', auth, authorize(authorize.role('donor')), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const userId = req.user.userId;
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (!campaign.isOpenForRegistration()) {
+      return res.status(400).json({ message: 'Campaign is not open for registration' });
+    }
+
+    if (campaign.registrationOf(userId)) {
+      return res.status(409).json({ message: 'Already registered for this campaign' });
+    }
+
+    const donor = await User.findById(userId);
+    const eligibility = donor.checkEligibility({
+      date: campaign.startsAt > new Date() ? campaign.startsAt : new Date(),
+      ignore: REGISTRATION_IGNORED_RULES
+    });
+    if (!eligibility.eligible) {
+      return res.status(400).json({ message: 'Not eligible to donate at this campaign', eligibility });
+    }
+
+    // Guard against a concurrent registration by the same donor
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, 'registrations.donor': { $ne: userId } },
+      {
+        $push: { registrations: { donor: userId, bloodType: donor.bloodType } },
+        $inc: { registeredCount: 1 }
+      },
+      { new: true, projection: 'registeredCount checkedInCount targetDonors' }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: 'Already registered for this campaign' });
+    }
+
+    broadcastProgress(updated);
+
+    res.status(201).json({
+      message: 'Registered successfully',
+      registeredCount: updated.registeredCount
+    });
+  } catch (error) {
+    console.error('Register for campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/:id/register', auth, authorize(authorize.role('donor')), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    // Donors who already checked in stay on the books
+    const updated = await Campaign.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        registrations: { $elemMatch: { donor: req.user.userId, checkedInAt: { $exists: false } } }
+      },
+      {
+        $pull: { registrations: { donor: req.user.userId } },
+        $inc: { registeredCount: -1 }
+      },
+      { new: true, projection: 'registeredCount checkedInCount targetDonors' }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: 'No registration to cancel' });
+    }
+
+    broadcastProgress(updated);
+
+    res.json({
+      message: 'Registration cancelled',
+      registeredCount: updated.registeredCount
+    });
+  } catch (error) {
+    console.error('Unregister from campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Registrants with their check-in status (organizer and staff)
+router.get('/:id/registrations', auth, async (req, res) => {
+  try {
+    const campaign = await findManagedCampaign(req, res, 'confirm_donations');
+    if (!campaign) return;
+
+    await campaign.populate('registrations.donor', 'name phone bloodType');
+
+    res.json({
+      registrations: campaign.registrations,
+      progress: campaign.getProgress()
+    });
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check a donor in at the venue; unregistered donors are added as walk-ins
+router.post('/:id/check-in', auth, [
+  body('donorId').isMongoId().withMessage('Valid donor id is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campaign = await findManagedCampaign(req, res, 'confirm_donations');
+    if (!campaign) return;
+
+    if (campaign.phase !== 'live') {
+      return res.status(400).json({ message: 'Check-in is only open while the campaign is running' });
+    }
+
+    const { donorId } = req.body;
+    let registration = campaign.registrationOf(donorId);
+
+    if (registration?.checkedInAt) {
+      return res.status(409).json({ message: 'Donor is already checked in' });
+    }
+
+    if (!registration) {
+      const donor = await User.findById(donorId).select('userType bloodType');
+      if (!donor || donor.userType !== 'donor') {
+        return res.status(404).json({ message: 'Donor not found' });
+      }
+
+      campaign.registrations.push({ donor: donorId, bloodType: donor.bloodType, walkIn: true });
+      campaign.registeredCount += 1;
+      registration = campaign.registrations[campaign.registrations.length - 1];
+    }
+
+    registration.checkedInAt = new Date();
+    registration.checkedInBy = req.user.userId;
+    campaign.checkedInCount += 1;
+    await campaign.save();
+
+    broadcastProgress(campaign);
+    rewards.creditCampaignAttendance(campaign, donorId, req.user.userId)
+      .catch(error => console.error('Credit rewards error:', error));
+
+    res.json({
+      message: 'Donor checked in',
+      registration,
+      progress: campaign.getProgress()
+    });
+  } catch (error) {
+    console.error('Campaign check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Message registrants (organizer only)
+router.post('/:id/messages', auth, [
+  body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 100 }),
+  body('message').trim().notEmpty().withMessage('Message is required').isLength({ max: 1000 }),
+  body('audience').optional().isIn(['registered', 'checked_in', 'not_checked_in'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campaign = await findManagedCampaign(req, res);
+    if (!campaign) return;
+
+    const { title, message, audience = 'registered' } = req.body;
+    const recipients = campaign.registrations.filter(registration => {
+      if (audience === 'checked_in') return Boolean(registration.checkedInAt);
+      if (audience === 'not_checked_in') return !registration.checkedInAt;
+      return true;
+    });
+
+    const sent = await messageRegistrants(campaign, recipients, { title, message });
+
+    campaign.messages.push({ title, body: message, audience, recipients: sent, sentBy: req.user.userId });
+    await campaign.save();
+
+    res.status(201).json({
+      message: `Message sent to ${sent} donor(s)`,
+      recipients: sent
+    });
+  } catch (error) {
+    console.error('Message registrants error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
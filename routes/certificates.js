@@ -0,0 +1,119 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const certificates = require('../services/certificates');
+const router = express.Router();
+
+// Current donor's certificates
+router.get('/mine', auth, authorize(authorize.role('donor')), async (req, res) => {
+  try {
+    const mine = await Certificate.find({ donor: req.user.userId })
+      .select('-donor -donation')
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      certificates: mine.map(certificate => ({
+        ...certificate.toJSON(),
+        verificationUrl: certificates.verificationUrl(certificate)
+      }))
+    });
+  } catch (error) {
+    console.error('Get certificates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issue (or fetch) the certificate of one of the donor's completed donations
+router.post('/donations/:donationId', auth, authorize(authorize.role('donor')), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.donationId)) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    const donation = await Donation.findOne({
+      _id: req.params.donationId,
+      donor: req.user.userId,
+      outcome: 'completed'
+    });
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    const donor = await User.findById(req.user.userId).select('name');
+    const certificate = await certificates.issue(donation, donor);
+
+    res.status(201).json({
+      certificateId: certificate.certificateId,
+      verificationUrl: certificates.verificationUrl(certificate)
+    });
+  } catch (error) {
+    console.error('Issue certificate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the certificate as a PDF (its donor or an admin)
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.id });
+    if (!certificate || (!certificate.donor.equals(req.user.userId) && req.user.userType !== 'admin')) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    const pdf = await certificates.renderPdf(certificate);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="certificate-${certificate.certificateId}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Render certificate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public check of a certificate. Returns only what is printed on it, so
+// a verifier learns nothing beyond the copy they hold.
+router.get('/:id/verify', [
+  query('sig').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await Certificate.findOne({ certificateId: req.params.id });
+    if (!certificate) {
+      return res.status(404).json({ valid: false, message: 'No certificate with this ID' });
+    }
+
+    const result = certificates.verify(certificate, req.query.sig);
+    if (!result.valid) {
+      return res.json({ valid: false, message: result.reason });
+    }
+
+    res.json({
+      valid: true,
+      certificate: {
+        certificateId: certificate.certificateId,
+        donorName: certificate.donorName,
+        donatedOn: certificate.donatedAt.toISOString().slice(0, 10),
+        facilityName: certificate.facilityName,
+        component: certificate.component,
+        issuedAt: certificate.issuedAt
+      }
+    });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
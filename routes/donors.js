@@ -1,52 +1,87 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const BloodRequest = require('../models/BloodRequest');
 const Notification = require('../models/Notification');
-const geolib = require('geolib');
+const Donation = require('../models/Donation');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const privacy = require('../services/privacy');
+const geocoding = require('../services/geocoding');
+const routing = require('../services/routing');
+const preferences = require('../services/preferences');
+const { deferralCodes } = require('../services/eligibility');
+const { getCompatibleDonorTypes, COMPONENTS } = require('../shared/compatibility');
 const router = express.Router();
 
-// Get all available donors
-router.get('/available', async (req, res) => {
+// Get all available donors, quickest to reach the given point first;
+// `maxEta` (minutes) drops donors who would take longer. Everything a
+// caller can observe, including which donors pass the filters, is worked
+// out from each donor's fuzzed location so that searches from several
+// points cannot close in on the real one.
+router.get('/available', auth, [
+  query('radius').optional().isFloat({ min: privacy.MIN_SEARCH_RADIUS_KM, max: 500 })
+    .withMessage(`Radius must be between ${privacy.MIN_SEARCH_RADIUS_KM} and 500 km`),
+  query('maxEta').optional().isFloat({ min: privacy.MIN_SEARCH_ETA_MINUTES })
+    .withMessage(`maxEta must be at least ${privacy.MIN_SEARCH_ETA_MINUTES} minutes`)
+], async (req, res) => {
   try {
-    const { bloodType, lat, lng, radius = 50 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bloodType, component = 'whole_blood', lat, lng, radius = 50, maxEta } = req.query;
 
     if (!lat || !lng) {
       return res.status(400).json({ message: 'Latitude and longitude are required' });
     }
 
+    if (!COMPONENTS.includes(component)) {
+      return res.status(400).json({ message: 'Invalid component' });
+    }
+
+    const destination = [parseFloat(lng), parseFloat(lat)];
+    const radiusKm = parseFloat(radius);
+
     // Find eligible donors
-    const donors = await User.find({
+    const donors = (await User.find({
       userType: 'donor',
       isAvailable: true,
       isVerified: true,
-      bloodType: bloodType ? { $in: getCompatibleBloodTypes(bloodType) } : { $exists: true },
+      bloodType: bloodType ? { $in: getCompatibleDonorTypes(bloodType, component) } : { $exists: true },
       location: {
         $near: {
           $geometry: {
             type: 'Point',
-            coordinates: [parseFloat(lng), parseFloat(lat)]
+            coordinates: destination
           },
-          $maxDistance: radius * 1000 // Convert km to meters
+          // Widened by the fuzz, then cut back to `radius` below
+          $maxDistance: (radiusKm + privacy.LOCATION_FUZZ_KM) * 1000
         }
-      }
-    }).select('-password -medicalHistory');
+      },
+      ...preferences.notSnoozed()
+    }).select('-password')).filter(donor => donor.isEligibleToDonate(component));
+
+    const fuzzed = donors.map(donor => privacy.fuzzCoordinates(donor.location.coordinates));
+    const etas = await routing.etasTo(destination, fuzzed);
 
-    // Filter by eligibility and add distance
+    // Mask everything that identifies or locates the donor, then filter and
+    // sort on what is shown; ties are broken by ref rather than by the
+    // real distance
     const eligibleDonors = donors
-      .filter(donor => donor.isEligibleToDonate())
-      .map(donor => {
-        const distance = geolib.getDistance(
-          { latitude: parseFloat(lat), longitude: parseFloat(lng) },
-          { latitude: donor.location.coordinates[1], longitude: donor.location.coordinates[0] }
-        );
-        return {
-          ...donor.toObject(),
-          distance: Math.round(distance / 1000 * 10) / 10 // Convert to km with 1 decimal
-        };
-      })
-      .sort((a, b) => a.distance - b.distance);
+      .map((donor, index) => ({
+        donor,
+        straightKm: routing.estimate(fuzzed[index], destination).distanceKm,
+        eta: etas[index]
+      }))
+      .filter(({ straightKm }) => straightKm <= radiusKm)
+      // Leave out donors who would not travel this far
+      .filter(({ donor, straightKm }) => !(donor.maxTravelKm && straightKm > donor.maxTravelKm))
+      .map(({ donor, eta }) => privacy.publicDonor(donor, eta.distanceKm, eta.minutes))
+      .filter(donor => !maxEta || donor.etaMinutes <= parseFloat(maxEta))
+      .sort((a, b) => a.etaMinutes - b.etaMinutes || a.ref.localeCompare(b.ref));
 
     res.json({ donors: eligibleDonors });
   } catch (error) {
@@ -56,9 +91,9 @@ router.get('/available', async (req, res) => {
 });
 
 // Update donor availability
-router.put('/availability', auth, async (req, res) => {
+router.put('/availability', auth, authorize(authorize.role('donor')), async (req, res) => {
   try {
-    const { isAvailable, lastDonationDate } = req.body;
+    const { isAvailable, snoozeUntil, lastDonationDate, lastDonationComponent } = req.body;
     const userId = req.user?.userId;
 
     if (!userId) {
@@ -67,7 +102,20 @@ router.put('/availability', auth, async (req, res) => {
 
     const updateData = {};
     if (isAvailable !== undefined) updateData.isAvailable = isAvailable;
+    // Pause request alerts until a date; null lifts the snooze
+    if (snoozeUntil !== undefined) {
+      if (snoozeUntil !== null && isNaN(new Date(snoozeUntil).getTime())) {
+        return res.status(400).json({ message: 'Invalid snooze date' });
+      }
+      updateData.snoozeUntil = snoozeUntil === null ? null : new Date(snoozeUntil);
+    }
     if (lastDonationDate) updateData.lastDonationDate = new Date(lastDonationDate);
+    if (lastDonationComponent) {
+      if (!COMPONENTS.includes(lastDonationComponent)) {
+        return res.status(400).json({ message: 'Invalid component' });
+      }
+      updateData.lastDonationComponent = lastDonationComponent;
+    }
 
     const donor = await User.findByIdAndUpdate(
       userId,
@@ -89,10 +137,13 @@ router.put('/availability', auth, async (req, res) => {
   }
 });
 
-// Update donor location
-router.put('/location', auth, [
-  body('coordinates').isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
-  body('address').optional().isObject()
+// Update donor location from coordinates, an address or a PIN code
+router.put('/location', auth, authorize(authorize.role('donor')), [
+  body('coordinates').optional().isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
+  body('coordinates.*').optional().isFloat().withMessage('Coordinates must be numbers'),
+  body('address').optional().custom(value => typeof value === 'string' || typeof value === 'object')
+    .withMessage('Address must be text or an object'),
+  body('pinCode').optional().matches(/^\d{6}$/).withMessage('PIN code must be 6 digits')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -100,21 +151,18 @@ router.put('/location', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { coordinates, address } = req.body;
-    const userId = req.user?.userId;
+    const { coordinates, address, pinCode } = req.body;
 
-    if (!userId) {
-      return res.status(401).json({ message: 'Authentication required' });
+    const place = await geocoding.resolveLocation({ coordinates, address, pinCode });
+    if (!place) {
+      return res.status(400).json({ message: 'Coordinates, an address or a PIN code is required' });
     }
 
     const donor = await User.findByIdAndUpdate(
-      userId,
+      req.user.userId,
       {
-        location: {
-          type: 'Point',
-          coordinates: coordinates
-        },
-        address: address || undefined
+        location: place.location,
+        address: place.address
       },
       { new: true }
     ).select('-password');
@@ -125,60 +173,305 @@ router.put('/location', auth, [
 
     res.json({ 
       message: 'Location updated successfully',
-      donor 
+      donor,
+      precision: place.precision
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Update location error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get donor profile
-router.get('/profile/:id', async (req, res) => {
+// Set the organization the donor represents on leaderboards
+router.put('/organization', auth, authorize(authorize.role('donor')), [
+  body('organization').trim().isLength({ max: 100 }).withMessage('Organization must be at most 100 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = await User.findByIdAndUpdate(
+      req.user.userId,
+      { organization: req.body.organization || undefined },
+      { new: true }
+    ).select('-password');
+
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    res.json({
+      message: 'Organization updated successfully',
+      donor
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the health details used by the eligibility rules
+router.put('/health', auth, authorize(authorize.role('donor')), [
+  body('dateOfBirth').optional().isISO8601().withMessage('Invalid date of birth'),
+  body('sex').optional().isIn(['male', 'female', 'other']),
+  body('weight').optional().isFloat({ min: 0, max: 400 }).withMessage('Weight must be in kg'),
+  body('hemoglobin').optional().isFloat({ min: 0, max: 25 }).withMessage('Hemoglobin must be in g/dL'),
+  body('medicalHistory').optional().isArray(),
+  body('medicalHistory.*.code').optional().isIn(deferralCodes())
+    .withMessage(`Code must be one of ${deferralCodes().join(', ')}`),
+  body('medicalHistory.*.condition').optional().isString().isLength({ max: 100 }),
+  body('medicalHistory.*.date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updateData = {};
+    ['dateOfBirth', 'sex', 'weight', 'hemoglobin', 'medicalHistory'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const donor = await User.findByIdAndUpdate(
+      req.user.userId,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    res.json({
+      message: 'Health details updated successfully',
+      eligibility: donor.checkEligibility()
+    });
+  } catch (error) {
+    console.error('Update health error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Explain the current donor's eligibility
+router.get('/eligibility', auth, authorize(authorize.role('donor')), async (req, res) => {
+  try {
+    const { component, date } = req.query;
+
+    if (component && !COMPONENTS.includes(component)) {
+      return res.status(400).json({ message: 'Invalid component' });
+    }
+
+    const donor = await User.findById(req.user.userId).select('-password');
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const at = date ? new Date(date) : undefined;
+    if (at && isNaN(at.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    res.json({ eligibility: donor.checkEligibility({ component, date: at }) });
+  } catch (error) {
+    console.error('Get eligibility error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current donor's alert preferences
+router.get('/preferences', auth, authorize(authorize.role('donor')), async (req, res) => {
+  try {
+    const donor = await User.findById(req.user.userId).select('-password');
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    res.json({ preferences: preferences.serialize(donor) });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update alert preferences. Omitted fields are kept; null clears
+// byPriority entries, quietHours, maxAlertsPerWeek and maxTravelKm.
+router.put('/preferences', auth, authorize(authorize.role('donor')), [
+  body('channels.sms').optional().isBoolean().toBoolean(),
+  body('channels.email').optional().isBoolean().toBoolean(),
+  body('byPriority').optional().isObject()
+    .custom(value => Object.keys(value).every(priority => preferences.PRIORITIES.includes(priority)))
+    .withMessage(`Priorities must be ${preferences.PRIORITIES.join(', ')}`),
+  body('byPriority.*').optional({ values: 'null' }).isArray().withMessage('Channels must be a list'),
+  body('byPriority.*.*').isIn(['sms', 'email']).withMessage('Channels must be sms or email'),
+  body('quietHours').optional({ values: 'null' }).isObject(),
+  body(['quietHours.start', 'quietHours.end']).if(body('quietHours').isObject())
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Quiet hours need a start and end as HH:MM'),
+  body('quietHours.timezone').optional()
+    .custom(preferences.isTimeZone).withMessage('Unknown timezone'),
+  body('maxAlertsPerWeek').optional({ values: 'null' }).isInt({ min: 1, max: 100 }).toInt(),
+  body('maxTravelKm').optional({ values: 'null' }).isFloat({ min: 1, max: 500 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const donor = await User.findById(req.user.userId).select('-password');
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const { channels, byPriority, quietHours, maxAlertsPerWeek, maxTravelKm } = req.body;
+    const current = donor.notificationPreferences;
+
+    if (channels) {
+      ['sms', 'email'].forEach(channel => {
+        if (channels[channel] !== undefined) current.channels[channel] = channels[channel];
+      });
+    }
+
+    if (byPriority) {
+      Object.entries(byPriority).forEach(([priority, list]) => {
+        current.byPriority[priority] = list === null ? undefined : [...new Set(list)];
+      });
+    }
+
+    if (quietHours !== undefined) {
+      current.quietHours = quietHours && {
+        start: quietHours.start,
+        end: quietHours.end,
+        timezone: quietHours.timezone || current.quietHours?.timezone || preferences.DEFAULT_TIMEZONE
+      };
+    }
+
+    if (maxAlertsPerWeek !== undefined) current.maxAlertsPerWeek = maxAlertsPerWeek;
+    if (maxTravelKm !== undefined) donor.maxTravelKm = maxTravelKm;
+
+    await donor.save();
+
+    res.json({
+      message: 'Preferences updated successfully',
+      preferences: preferences.serialize(donor)
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get donor profile: in full for the donor themselves and admins, masked
+// for everyone else
+router.get('/profile/:id', auth.optional, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
     const donor = await User.findById(req.params.id)
-      .select('-password -medicalHistory')
-      .populate('donationHistory');
+      .select('-password -medicalHistory');
 
     if (!donor || donor.userType !== 'donor') {
       return res.status(404).json({ message: 'Donor not found' });
     }
 
-    res.json({ donor });
+    const isSelf = req.user && donor._id.equals(req.user.userId);
+    if (!isSelf && req.user?.userType !== 'admin') {
+      // Reached by id, so no ref: it would tie the id to the ref shown in
+      // searches and on the leaderboard
+      const { ref, location, distance, etaMinutes, ...profile } = privacy.publicDonor(donor);
+      return res.json({ donor: { ...profile, badges: donor.badges, memberSince: donor.createdAt } });
+    }
+
+    const donationHistory = await Donation.find({ donor: donor._id })
+      .select('-donor')
+      .populate('facility', 'name type address')
+      .sort({ donatedAt: -1 });
+
+    res.json({
+      donor,
+      donationHistory: donationHistory.map(donation => donation.toJSON({ virtuals: true }))
+    });
   } catch (error) {
     console.error('Get donor profile error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get donor statistics
-router.get('/stats/:id', async (req, res) => {
+// Get donor statistics. Eligibility (which can reveal medical deferrals)
+// is only shown to the donor themselves and admins; everyone else gets the
+// donation totals.
+router.get('/stats/:id', auth, async (req, res) => {
   try {
-    const donorId = req.params.id;
-    
-    const stats = await BloodRequest.aggregate([
-      {
-        $match: {
-          'matchedDonors.donor': donorId,
-          'matchedDonors.status': 'completed'
-        }
-      },
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const { component } = req.query;
+    if (component && !COMPONENTS.includes(component)) {
+      return res.status(400).json({ message: 'Invalid component' });
+    }
+
+    const donorId = new mongoose.Types.ObjectId(req.params.id);
+
+    const donor = await User.findById(donorId).select('-password');
+
+    if (!donor || donor.userType !== 'donor') {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const livesPerUnit = Object.entries(Donation.LIVES_PER_UNIT)
+      .map(([component, lives]) => ({ case: { $eq: ['$component', component] }, then: lives }));
+
+    const byYear = await Donation.aggregate([
+      { $match: { donor: donorId, outcome: 'completed' } },
       {
         $group: {
-          _id: null,
-          totalDonations: { $sum: 1 },
-          lastDonation: { $max: '$completedAt' }
+          _id: { $year: '$donatedAt' },
+          donations: { $sum: 1 },
+          units: { $sum: '$units' },
+          livesImpacted: {
+            $sum: { $multiply: ['$units', { $switch: { branches: livesPerUnit, default: 1 } }] }
+          },
+          lastDonation: { $max: '$donatedAt' }
         }
-      }
+      },
+      { $sort: { _id: -1 } }
     ]);
 
-    const donor = await User.findById(donorId).select('lastDonationDate createdAt');
-    
+    const sum = (field) => byYear.reduce((total, year) => total + year[field], 0);
+    const totals = {
+      totalDonations: sum('donations'),
+      totalUnits: sum('units'),
+      livesImpacted: sum('livesImpacted'),
+      memberSince: donor.createdAt
+    };
+
+    const isSelf = donor._id.equals(req.user.userId);
+    if (!isSelf && req.user.userType !== 'admin') {
+      return res.json(totals);
+    }
+
+    const eligibility = donor.checkEligibility({ component });
+
     res.json({
-      totalDonations: stats[0]?.totalDonations || 0,
-      lastDonation: stats[0]?.lastDonation || donor?.lastDonationDate,
-      memberSince: donor?.createdAt,
-      isEligible: donor?.isEligibleToDonate() || false
+      ...totals,
+      byYear: byYear.map(({ _id, ...year }) => ({ year: _id, ...year })),
+      lastDonation: byYear[0]?.lastDonation || donor.lastDonationDate,
+      nextEligibleDate: eligibility.eligibleFrom,
+      isEligible: eligibility.eligible,
+      eligibility: {
+        status: eligibility.status,
+        failingRules: eligibility.failures.map(failure => failure.rule),
+        missingInfo: eligibility.missing.map(entry => entry.rule),
+        ruleset: eligibility.ruleset
+      }
     });
   } catch (error) {
     console.error('Get donor stats error:', error);
@@ -186,20 +479,4 @@ router.get('/stats/:id', async (req, res) => {
   }
 });
 
-// Helper function to get compatible blood types
-function getCompatibleBloodTypes(bloodType) {
-  const compatibility = {
-    'A+': ['A+', 'A-', 'O+', 'O-'],
-    'A-': ['A-', 'O-'],
-    'B+': ['B+', 'B-', 'O+', 'O-'],
-    'B-': ['B-', 'O-'],
-    'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-    'AB-': ['A-', 'B-', 'AB-', 'O-'],
-    'O+': ['O+', 'O-'],
-    'O-': ['O-']
-  };
-  
-  return compatibility[bloodType] || [];
-}
-
 module.exports = router;
@@ -0,0 +1,358 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Facility = require('../models/Facility');
+const { STAFF_ROLES } = Facility;
+const User = require('../models/User');
+const BloodRequest = require('../models/BloodRequest');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const dispatcher = require('../services/dispatcher');
+const realtime = require('../services/realtime');
+const lifecycle = require('../services/lifecycle');
+const privacy = require('../services/privacy');
+const { BLOOD_TYPES, COMPONENTS } = require('../shared/compatibility');
+const router = express.Router();
+
+// Load a facility and check the current user's permission there,
+// or send the error response
+async function findFacilityFor(req, res, permission, message) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Facility not found' });
+    return null;
+  }
+
+  const facility = await Facility.findById(req.params.id);
+  if (!facility) {
+    res.status(404).json({ message: 'Facility not found' });
+    return null;
+  }
+
+  req.facility = facility;
+  if (!await authorize.permits(req, res, authorize.facilityStaff(permission), message)) {
+    return null;
+  }
+
+  return facility;
+}
+
+// Create a hospital or blood bank; the creator becomes its manager
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Facility name is required'),
+  body('type').isIn(['hospital', 'blood_bank']).withMessage('Type must be hospital or blood_bank'),
+  body('location.coordinates').isArray({ min: 2, max: 2 }).withMessage('Facility coordinates are required'),
+  body('address').optional().isObject(),
+  body('contact').optional().isObject(),
+  body('lowStockThreshold').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, type, address, location, contact, lowStockThreshold } = req.body;
+
+    const facility = new Facility({
+      name,
+      type,
+      address,
+      location: { type: 'Point', coordinates: location.coordinates },
+      contact,
+      lowStockThreshold,
+      staff: [{ user: req.user.userId, role: 'manager' }],
+      createdBy: req.user.userId
+    });
+
+    await facility.save();
+
+    res.status(201).json({
+      message: 'Facility created. An admin must verify its location before staff can raise requests or manage stock.',
+      facility
+    });
+  } catch (error) {
+    console.error('Create facility error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get facilities the current user works at
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const facilities = await Facility.find({ 'staff.user': req.user.userId })
+      .select('name type address location contact locationVerified staff.$');
+
+    res.json({
+      facilities: facilities.map(facility => {
+        const { staff, ...details } = facility.toObject();
+        return { ...details, role: staff[0]?.role };
+      })
+    });
+  } catch (error) {
+    console.error('Get my facilities error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a facility
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Facility not found' });
+    }
+
+    const facility = await Facility.findById(req.params.id).select('-staff');
+    if (!facility) {
+      return res.status(404).json({ message: 'Facility not found' });
+    }
+
+    res.json({ facility });
+  } catch (error) {
+    console.error('Get facility error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update facility details (managers only)
+router.put('/:id', auth, [
+  body('name').optional().trim().notEmpty(),
+  body('contact').optional().isObject(),
+  body('address').optional().isObject(),
+  body('lowStockThreshold').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const facility = await findFacilityFor(req, res, 'manage_facility', 'Only facility managers can update the facility');
+    if (!facility) return;
+
+    ['name', 'contact', 'address', 'lowStockThreshold'].forEach(field => {
+      if (req.body[field] !== undefined) facility[field] = req.body[field];
+    });
+
+    await facility.save();
+    await BloodRequest.syncFacility(facility);
+
+    res.json({
+      message: 'Facility updated successfully',
+      facility
+    });
+  } catch (error) {
+    console.error('Update facility error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a staff member by email (managers only)
+router.post('/:id/staff', auth, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(STAFF_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const facility = await findFacilityFor(req, res, 'manage_staff', 'Only facility managers can add staff');
+    if (!facility) return;
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (facility.isStaff(user._id)) {
+      return res.status(409).json({ message: 'User is already a staff member' });
+    }
+
+    facility.staff.push({ user: user._id, role: req.body.role || 'staff' });
+    await facility.save();
+
+    res.status(201).json({
+      message: 'Staff member added successfully',
+      staff: facility.staff
+    });
+  } catch (error) {
+    console.error('Add staff error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a staff member's role (managers only)
+router.put('/:id/staff/:userId', auth, [
+  body('role').isIn(STAFF_ROLES).withMessage('Invalid staff role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const facility = await findFacilityFor(req, res, 'manage_staff', 'Only facility managers can change roles');
+    if (!facility) return;
+
+    const member = facility.staff.find(staff => staff.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const managers = facility.staff.filter(staff => staff.role === 'manager');
+    if (member.role === 'manager' && req.body.role !== 'manager' && managers.length === 1) {
+      return res.status(400).json({ message: 'A facility needs at least one manager' });
+    }
+
+    member.role = req.body.role;
+    await facility.save();
+
+    res.json({
+      message: 'Staff role updated successfully',
+      staff: facility.staff
+    });
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a staff member (managers only)
+router.delete('/:id/staff/:userId', auth, async (req, res) => {
+  try {
+    const facility = await findFacilityFor(req, res, 'manage_staff', 'Only facility managers can remove staff');
+    if (!facility) return;
+
+    const member = facility.staff.find(staff => staff.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const managers = facility.staff.filter(staff => staff.role === 'manager');
+    if (member.role === 'manager' && managers.length === 1) {
+      return res.status(400).json({ message: 'A facility needs at least one manager' });
+    }
+
+    facility.staff.pull(member._id);
+    await facility.save();
+
+    res.json({ message: 'Staff member removed successfully' });
+  } catch (error) {
+    console.error('Remove staff error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Raise a blood request at the facility on behalf of a patient
+router.post('/:id/requests', auth, [
+  body('bloodType').isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+  body('component').optional().isIn(COMPONENTS).withMessage('Invalid blood component'),
+  body('urgency').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
+  body('requiredUnits').optional().isInt({ min: 1 }).withMessage('Required units must be at least 1'),
+  body('patientId').optional().isMongoId(),
+  body('patientInfo.name').optional().trim().isLength({ max: 100 }),
+  body('patientInfo.age').optional().isInt({ min: 0, max: 130 }),
+  body('patientInfo.ward').optional().trim().isLength({ max: 50 }),
+  body('description').optional().isLength({ max: 500 }),
+  body('medicalNotes').optional().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const facility = await findFacilityFor(req, res, 'manage_requests', 'Not authorized to raise requests for this facility');
+    if (!facility) return;
+
+    const {
+      bloodType,
+      component,
+      urgency,
+      requiredUnits = 1,
+      patientId,
+      patientInfo,
+      description,
+      medicalNotes
+    } = req.body;
+
+    if (patientId) {
+      const patient = await User.findById(patientId).select('userType');
+      if (!patient || patient.userType !== 'patient') {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+    }
+
+    const bloodRequest = new BloodRequest({
+      patient: patientId,
+      patientInfo,
+      raisedBy: req.user.userId,
+      bloodType,
+      component,
+      urgency,
+      requiredUnits,
+      description,
+      medicalNotes
+    });
+    bloodRequest.setFacility(facility);
+    lifecycle.record(bloodRequest, 'created', { actor: req.user, to: bloodRequest.status });
+
+    await bloodRequest.save();
+
+    realtime.events.requestCreated(bloodRequest);
+
+    // Start notifying nearby donors in widening waves
+    dispatcher.start(bloodRequest)
+      .catch(error => console.error('Dispatch start error:', error));
+
+    res.status(201).json({
+      message: 'Blood request created successfully',
+      request: bloodRequest
+    });
+  } catch (error) {
+    console.error('Create facility request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the facility's blood requests (staff only)
+router.get('/:id/requests', auth, [
+  query('status').optional().isIn(lifecycle.STATUSES),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('page').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const facility = await findFacilityFor(req, res, 'manage_inventory', 'Only facility staff can view its requests');
+    if (!facility) return;
+
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    const filter = { facility: facility._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [requests, total] = await Promise.all([
+      BloodRequest.find(filter)
+        .populate('patient', 'name phone')
+        .populate('raisedBy', 'name')
+        .populate('matchedDonors.donor', 'name phone bloodType')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BloodRequest.countDocuments(filter)
+    ]);
+
+    res.json({ requests: requests.map(privacy.requestForOwner), total, page });
+  } catch (error) {
+    console.error('Get facility requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
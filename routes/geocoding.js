@@ -0,0 +1,57 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const geocoding = require('../services/geocoding');
+const router = express.Router();
+
+// Find coordinates for an address or PIN code
+router.get('/search', [
+  query('q').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Query must be 2 to 200 characters'),
+  query('pinCode').optional().matches(/^\d{6}$/).withMessage('PIN code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, pinCode } = req.query;
+    if (!q && !pinCode) {
+      return res.status(400).json({ message: 'An address or PIN code is required' });
+    }
+
+    const result = await geocoding.geocode({ address: q, pinCode });
+    if (!result) {
+      return res.status(404).json({ message: 'Could not find that address or PIN code' });
+    }
+
+    res.json({ result });
+  } catch (error) {
+    console.error('Geocode error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Describe the place at a point for display
+router.get('/reverse', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await geocoding.reverse([parseFloat(req.query.lng), parseFloat(req.query.lat)]);
+    if (!result) {
+      return res.status(404).json({ message: 'No known place near this point' });
+    }
+
+    res.json({ result });
+  } catch (error) {
+    console.error('Reverse geocode error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
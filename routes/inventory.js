@@ -0,0 +1,222 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Facility = require('../models/Facility');
+const Inventory = require('../models/Inventory');
+const { InventoryChange, BLOOD_GROUPS, COMPONENTS } = Inventory;
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const inventory = require('../services/inventory');
+const router = express.Router();
+
+const FACILITY_FIELDS = 'name type address location contact lowStockThreshold';
+
+// Load a facility the current user works at, or send the error response
+async function findStaffFacility(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.facilityId)) {
+    res.status(404).json({ message: 'Facility not found' });
+    return null;
+  }
+
+  const facility = await Facility.findById(req.params.facilityId);
+  if (!facility) {
+    res.status(404).json({ message: 'Facility not found' });
+    return null;
+  }
+
+  req.facility = facility;
+  if (!await authorize.permits(req, res, authorize.facilityStaff('manage_inventory'), 'Only facility staff can manage inventory')) {
+    return null;
+  }
+
+  return facility;
+}
+
+// List stock across all facilities
+router.get('/', [
+  query('bloodGroup').optional().isIn(BLOOD_GROUPS),
+  query('component').optional().isIn(COMPONENTS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bloodGroup, component, city } = req.query;
+
+    const filter = {};
+    if (bloodGroup) filter.bloodGroup = bloodGroup;
+    if (component) filter.component = component;
+
+    if (city) {
+      const facilities = await Facility.find({
+        'address.city': new RegExp(`^${city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i')
+      }).select('_id');
+      filter.facility = { $in: facilities.map(facility => facility._id) };
+    }
+
+    const items = await Inventory.find(filter)
+      .populate('facility', FACILITY_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    res.json({ inventory: items });
+  } catch (error) {
+    console.error('Get inventory error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Find facilities near a location that hold the requested stock
+router.get('/nearby', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude is required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude is required'),
+  query('radius').optional().isFloat({ min: 0 }),
+  query('minUnits').optional().isInt({ min: 0 }),
+  query('bloodGroup').optional().isIn(BLOOD_GROUPS),
+  query('component').optional().isIn(COMPONENTS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, radius = 25, minUnits = 1, bloodGroup, component } = req.query;
+
+    const facilities = await Facility.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] },
+          distanceField: 'distance',
+          maxDistance: parseFloat(radius) * 1000,
+          spherical: true
+        }
+      },
+      { $project: { staff: 0, createdBy: 0 } }
+    ]);
+
+    const filter = {
+      facility: { $in: facilities.map(facility => facility._id) },
+      units: { $gte: parseInt(minUnits, 10) }
+    };
+    if (bloodGroup) filter.bloodGroup = bloodGroup;
+    if (component) filter.component = component;
+
+    const items = await Inventory.find(filter).select('facility bloodGroup component units updatedAt');
+
+    const results = facilities
+      .map(({ distance, ...facility }) => ({
+        facility,
+        distance: Math.round(distance / 100) / 10, // km with 1 decimal
+        stock: items.filter(item => item.facility.equals(facility._id))
+      }))
+      .filter(result => result.stock.length > 0);
+
+    res.json({ facilities: results });
+  } catch (error) {
+    console.error('Get nearby inventory error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get stock for one facility
+router.get('/facility/:facilityId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.facilityId)) {
+      return res.status(404).json({ message: 'Facility not found' });
+    }
+
+    const facility = await Facility.findById(req.params.facilityId).select(FACILITY_FIELDS);
+    if (!facility) {
+      return res.status(404).json({ message: 'Facility not found' });
+    }
+
+    const stock = await Inventory.find({ facility: facility._id })
+      .select('bloodGroup component units updatedAt')
+      .sort({ bloodGroup: 1, component: 1 });
+
+    res.json({ facility, stock });
+  } catch (error) {
+    console.error('Get facility inventory error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update stock (facility staff only)
+router.put('/facility/:facilityId', auth, [
+  body('bloodGroup').isIn(BLOOD_GROUPS).withMessage('Invalid blood group'),
+  body('component').optional().isIn(COMPONENTS).withMessage('Invalid component'),
+  body('units').optional().isInt({ min: 0 }).withMessage('Units must be a non-negative integer'),
+  body('change').optional().isInt().withMessage('Change must be an integer'),
+  body('reason').optional().isIn(['donation', 'transfusion', 'transfer', 'expiry', 'adjustment']),
+  body('note').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { units, change } = req.body;
+    if ((units === undefined) === (change === undefined)) {
+      return res.status(400).json({ message: 'Provide either units or change' });
+    }
+
+    const facility = await findStaffFacility(req, res);
+    if (!facility) return;
+
+    const result = await inventory.updateStock(facility, {
+      ...req.body,
+      units: units !== undefined ? parseInt(units, 10) : undefined,
+      change: change !== undefined ? parseInt(change, 10) : undefined
+    }, req.user.userId);
+
+    res.json({
+      message: 'Inventory updated successfully',
+      stock: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update inventory error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stock change history (facility staff only)
+router.get('/facility/:facilityId/history', auth, [
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('before').optional().isISO8601(),
+  query('bloodGroup').optional().isIn(BLOOD_GROUPS),
+  query('component').optional().isIn(COMPONENTS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const facility = await findStaffFacility(req, res);
+    if (!facility) return;
+
+    const { bloodGroup, component, before } = req.query;
+    const filter = { facility: facility._id };
+    if (bloodGroup) filter.bloodGroup = bloodGroup;
+    if (component) filter.component = component;
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    const history = await InventoryChange.find(filter)
+      .populate('changedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit, 10) || 50);
+
+    res.json({ history });
+  } catch (error) {
+    console.error('Get inventory history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
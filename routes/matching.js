@@ -1,21 +1,112 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { rankCandidates } = require('../services/matching');
+const privacy = require('../services/privacy');
 const router = express.Router();
 
-// GET /api/matching - Get potential matches for blood requests
-router.get('/', (req, res) => {
-  res.json({ 
-    message: 'Matching service endpoint',
-    matches: []
-  });
+// GET /api/matching/:requestId - Ranked donor candidates for a blood request,
+// masked until a donor accepts (requesting side and admins only)
+router.get('/:requestId', auth, authorize.loadRequest('requestId'),
+  authorize(authorize.admin, authorize.requestOwner(), 'Not authorized to view candidates for this request'), async (req, res) => {
+  try {
+    const { radius, maxEta, limit, includeIneligible } = req.query;
+    const request = req.bloodRequest;
+
+    if (!request.isActive()) {
+      return res.status(400).json({ message: 'Request is no longer active' });
+    }
+
+    const candidates = await rankCandidates(request, {
+      radius,
+      maxEta,
+      limit,
+      includeIneligible: includeIneligible === 'true'
+    });
+
+    res.json({
+      requestId: request._id,
+      bloodType: request.bloodType,
+      candidates: candidates.map(candidate => ({
+        ...candidate,
+        donor: { ...candidate.donor, name: privacy.maskName(candidate.donor.name) },
+        distance: privacy.distanceBucket(candidate.distance),
+        etaMinutes: privacy.etaBucket(candidate.etaMinutes)
+      }))
+    });
+  } catch (error) {
+    console.error('Get matches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
-// POST /api/matching - Create a new match
-router.post('/', (req, res) => {
-  res.json({ 
-    message: 'Match created successfully',
-    matchId: Date.now()
-  });
+// POST /api/matching - Match a donor to a blood request (requesting side
+// and admins only)
+router.post('/', auth, [
+  body('requestId').isMongoId().withMessage('Valid request id is required'),
+  body('donorId').isMongoId().withMessage('Valid donor id is required'),
+  body('notes').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { requestId, donorId, notes } = req.body;
+
+    const request = await BloodRequest.findById(requestId);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    req.bloodRequest = request;
+    if (!await authorize.permits(req, res, authorize.admin, authorize.requestOwner(), 'Not authorized to match donors to this request')) {
+      return;
+    }
+
+    if (!request.isActive()) {
+      return res.status(400).json({ message: 'Request is no longer active' });
+    }
+
+    const donor = await User.findById(donorId).select('-password');
+    if (!donor || donor.userType !== 'donor') {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    if (!request.getCompatibleBloodTypes().includes(donor.bloodType)) {
+      return res.status(400).json({ message: 'Donor blood type is not compatible' });
+    }
+
+    const existingMatch = request.matchedDonors.find(
+      match => match.donor.toString() === donorId
+    );
+    if (existingMatch) {
+      return res.status(409).json({ message: 'Donor is already matched to this request' });
+    }
+
+    request.matchedDonors.push({
+      donor: donor._id,
+      status: 'pending',
+      notes
+    });
+
+    await request.save();
+
+    const match = request.matchedDonors[request.matchedDonors.length - 1];
+
+    res.status(201).json({
+      message: 'Match created successfully',
+      matchId: match._id,
+      match
+    });
+  } catch (error) {
+    console.error('Create match error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
-
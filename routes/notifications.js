@@ -0,0 +1,178 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const realtime = require('../services/realtime');
+const { serialize } = require('../services/notifications/channels');
+const router = express.Router();
+
+const TYPES = Notification.schema.path('type').enumValues;
+const PRIORITIES = Notification.schema.path('priority').enumValues;
+
+// Opaque pagination cursor made from the last item's createdAt and _id
+function encodeCursor(notification) {
+  return Buffer.from(`${notification.createdAt.toISOString()}|${notification._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+
+  if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+async function pushUnreadCount(userId) {
+  const unreadCount = await Notification.countDocuments({ recipient: userId, isRead: false });
+  realtime.emitToUser(userId, 'notifications:unread-count', { unreadCount });
+  return unreadCount;
+}
+
+// List the current user's notifications, newest first
+router.get('/', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('type').optional().isIn(TYPES),
+  query('priority').optional().isIn(PRIORITIES),
+  query('unread').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, priority, unread, cursor } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    // recipient + isRead + createdAt follows the { recipient, isRead, createdAt } index
+    const filter = { recipient: req.user.userId };
+    if (unread !== undefined) filter.isRead = unread !== 'true';
+    if (type) filter.type = type;
+    if (priority) filter.priority = priority;
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+
+      filter.$or = [
+        { createdAt: { $lt: position.createdAt } },
+        { createdAt: position.createdAt, _id: { $lt: position.id } }
+      ];
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    res.json({
+      notifications: page.map(serialize),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Count unread notifications
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user.userId,
+      isRead: false
+    });
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.userId, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    await pushUnreadCount(req.user.userId);
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark one notification as read
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+      await pushUnreadCount(req.user.userId);
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification: serialize(notification)
+    });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      await pushUnreadCount(req.user.userId);
+    }
+
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
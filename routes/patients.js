@@ -2,15 +2,35 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const BloodRequest = require('../models/BloodRequest');
+const Facility = require('../models/Facility');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const dispatcher = require('../services/dispatcher');
+const realtime = require('../services/realtime');
+const lifecycle = require('../services/lifecycle');
+const privacy = require('../services/privacy');
+const geocoding = require('../services/geocoding');
+const { BLOOD_TYPES, COMPONENTS } = require('../shared/compatibility');
 const router = express.Router();
 
+// Every patient route needs an authenticated patient
+router.use(auth, authorize(authorize.role('patient')));
+
+// Fields a patient may edit on an open request
+const UPDATABLE_FIELDS = ['urgency', 'description', 'medicalNotes'];
+
 // Create blood request
-router.post('/request', auth, [
-  body('bloodType').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
+router.post('/request', [
+  body('bloodType').isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+  body('component').optional().isIn(COMPONENTS).withMessage('Invalid blood component'),
   body('urgency').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
-  body('hospital.name').notEmpty().withMessage('Hospital name is required'),
-  body('hospital.location.coordinates').isArray({ min: 2, max: 2 }).withMessage('Hospital coordinates are required'),
+  body('facilityId').optional().isMongoId().withMessage('Invalid facility id'),
+  body('hospital.name').if(body('facilityId').not().exists())
+    .notEmpty().withMessage('Hospital name is required'),
+  body('hospital.location.coordinates').if(body('facilityId').not().exists())
+    .if(body('hospital.address').not().exists()).if(body('hospital.pinCode').not().exists())
+    .isArray({ min: 2, max: 2 }).withMessage('Hospital coordinates, address or PIN code is required'),
+  body('hospital.pinCode').optional().matches(/^\d{6}$/).withMessage('PIN code must be 6 digits'),
   body('requiredUnits').optional().isInt({ min: 1 }).withMessage('Required units must be at least 1')
 ], async (req, res) => {
   try {
@@ -21,22 +41,39 @@ router.post('/request', auth, [
 
     const { 
       bloodType, 
+      component,
       urgency, 
-      hospital, 
+      facilityId,
       requiredUnits = 1, 
       description, 
       medicalNotes 
     } = req.body;
+    let { hospital } = req.body;
 
     const userId = req.user?.userId;
     if (!userId) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
+    // Without a facility, the hospital may be given by address or PIN code
+    if (!facilityId) {
+      const { pinCode, ...details } = hospital;
+      const place = await geocoding.resolveLocation({
+        coordinates: hospital.location?.coordinates,
+        address: hospital.address,
+        pinCode
+      });
+      if (!place) {
+        return res.status(400).json({ message: 'Hospital coordinates, address or PIN code is required' });
+      }
+      hospital = { ...details, location: place.location, address: place.address };
+    }
+
     // Create blood request
     const bloodRequest = new BloodRequest({
       patient: userId,
       bloodType,
+      component,
       urgency,
       hospital,
       requiredUnits,
@@ -44,8 +81,24 @@ router.post('/request', auth, [
       medicalNotes
     });
 
+    // A registered facility replaces the free-text hospital details
+    if (facilityId) {
+      const facility = await Facility.findById(facilityId);
+      if (!facility) {
+        return res.status(404).json({ message: 'Facility not found' });
+      }
+      bloodRequest.setFacility(facility);
+    }
+
+    lifecycle.record(bloodRequest, 'created', { actor: req.user, to: bloodRequest.status });
     await bloodRequest.save();
 
+    realtime.events.requestCreated(bloodRequest);
+
+    // Start notifying nearby donors in widening waves
+    dispatcher.start(bloodRequest)
+      .catch(error => console.error('Dispatch start error:', error));
+
     // Populate patient details
     await bloodRequest.populate('patient', 'name phone email');
 
@@ -54,13 +107,16 @@ router.post('/request', auth, [
       request: bloodRequest
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Create request error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Get patient's blood requests
-router.get('/requests', auth, async (req, res) => {
+router.get('/requests', async (req, res) => {
   try {
     const userId = req.user?.userId;
     if (!userId) {
@@ -68,10 +124,10 @@ router.get('/requests', auth, async (req, res) => {
     }
 
     const requests = await BloodRequest.find({ patient: userId })
-      .populate('matchedDonors.donor', 'name phone bloodType location address')
+      .populate('matchedDonors.donor', 'name phone bloodType')
       .sort({ createdAt: -1 });
 
-    res.json({ requests });
+    res.json({ requests: requests.map(privacy.requestForOwner) });
   } catch (error) {
     console.error('Get requests error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -79,7 +135,7 @@ router.get('/requests', auth, async (req, res) => {
 });
 
 // Get specific blood request
-router.get('/requests/:id', auth, async (req, res) => {
+router.get('/requests/:id', async (req, res) => {
   try {
     const userId = req.user?.userId;
     const requestId = req.params.id;
@@ -91,13 +147,13 @@ router.get('/requests/:id', auth, async (req, res) => {
     const request = await BloodRequest.findOne({ 
       _id: requestId, 
       patient: userId 
-    }).populate('matchedDonors.donor', 'name phone bloodType location address');
+    }).populate('matchedDonors.donor', 'name phone bloodType');
 
     if (!request) {
       return res.status(404).json({ message: 'Request not found' });
     }
 
-    res.json({ request });
+    res.json({ request: privacy.requestForOwner(request) });
   } catch (error) {
     console.error('Get request error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -105,7 +161,7 @@ router.get('/requests/:id', auth, async (req, res) => {
 });
 
 // Update blood request
-router.put('/requests/:id', auth, [
+router.put('/requests/:id', [
   body('urgency').optional().isIn(['low', 'medium', 'high', 'critical']),
   body('description').optional().isLength({ max: 500 }),
   body('medicalNotes').optional().isLength({ max: 1000 })
@@ -118,25 +174,34 @@ router.put('/requests/:id', auth, [
 
     const userId = req.user?.userId;
     const requestId = req.params.id;
-    const updates = req.body;
 
     if (!userId) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    const request = await BloodRequest.findOneAndUpdate(
-      { _id: requestId, patient: userId, status: { $in: ['active', 'matched'] } },
-      updates,
-      { new: true }
-    ).populate('matchedDonors.donor', 'name phone bloodType location address');
-
-    if (!request) {
+    const request = await BloodRequest.findOne({ _id: requestId, patient: userId });
+    if (!request || !request.isActive()) {
       return res.status(404).json({ message: 'Request not found or cannot be updated' });
     }
 
+    // Only descriptive fields; status and donors change through the lifecycle
+    const changed = UPDATABLE_FIELDS.filter(field =>
+      req.body[field] !== undefined && req.body[field] !== request[field]
+    );
+    changed.forEach(field => {
+      request[field] = req.body[field];
+    });
+
+    if (changed.length) {
+      lifecycle.record(request, 'updated', { actor: req.user, data: { fields: changed } });
+      await request.save();
+    }
+
+    await request.populate('matchedDonors.donor', 'name phone bloodType');
+
     res.json({
       message: 'Request updated successfully',
-      request
+      request: privacy.requestForOwner(request)
     });
   } catch (error) {
     console.error('Update request error:', error);
@@ -145,10 +210,15 @@ router.put('/requests/:id', auth, [
 });
 
 // Cancel blood request
-router.put('/requests/:id/cancel', auth, [
+router.put('/requests/:id/cancel', [
   body('reason').optional().isLength({ max: 200 })
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const userId = req.user?.userId;
     const requestId = req.params.id;
     const { reason } = req.body;
@@ -157,20 +227,17 @@ router.put('/requests/:id/cancel', auth, [
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    const request = await BloodRequest.findOneAndUpdate(
-      { _id: requestId, patient: userId, status: { $in: ['active', 'matched'] } },
-      {
-        status: 'cancelled',
-        cancelledAt: new Date(),
-        cancellationReason: reason
-      },
-      { new: true }
-    );
-
-    if (!request) {
+    const request = await BloodRequest.findOne({ _id: requestId, patient: userId });
+    if (!request || !request.isActive()) {
       return res.status(404).json({ message: 'Request not found or cannot be cancelled' });
     }
 
+    lifecycle.transition(request, 'cancelled', { actor: req.user, reason });
+    await request.save();
+
+    await dispatcher.stop(request);
+    realtime.events.requestCancelled(request);
+
     res.json({
       message: 'Request cancelled successfully',
       request
@@ -182,7 +249,7 @@ router.put('/requests/:id/cancel', auth, [
 });
 
 // Get patient profile
-router.get('/profile', auth, async (req, res) => {
+router.get('/profile', async (req, res) => {
   try {
     const userId = req.user?.userId;
     if (!userId) {
@@ -202,7 +269,7 @@ router.get('/profile', auth, async (req, res) => {
 });
 
 // Get patient statistics
-router.get('/stats', auth, async (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
     const userId = req.user?.userId;
     if (!userId) {
@@ -222,7 +289,7 @@ router.get('/stats', auth, async (req, res) => {
     const totalRequests = await BloodRequest.countDocuments({ patient: userId });
     const activeRequests = await BloodRequest.countDocuments({ 
       patient: userId, 
-      status: { $in: ['active', 'matched'] } 
+      status: { $in: lifecycle.OPEN_STATUSES }
     });
 
     res.json({
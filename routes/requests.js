@@ -1,125 +1,252 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const BloodRequest = require('../models/BloodRequest');
+const { URGENCY_RANK } = BloodRequest;
+const Message = require('../models/Message');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const dispatcher = require('../services/dispatcher');
+const realtime = require('../services/realtime');
+const notifications = require('../services/notifications');
+const { getRequestOwners, isRequestOwner, isRequestDonor } = require('../services/requests');
+const { loadRequest, role, admin, requestOwner, requestDonor } = authorize;
+const fulfillment = require('../services/fulfillment');
+const lifecycle = require('../services/lifecycle');
+const rewards = require('../services/rewards');
+const privacy = require('../services/privacy');
+const routing = require('../services/routing');
+const feed = require('../services/feed');
+const { BLOOD_TYPES, COMPONENTS } = require('../shared/compatibility');
 const router = express.Router();
 
-// Get all active blood requests
-router.get('/active', async (req, res) => {
+// Routes are looked up for at most this many feed entries per call
+const FEED_ROUTE_LIMIT = 10;
+
+// Get active blood requests a page at a time; public, so no people are
+// included. Most urgent first, then nearest to lat/lng when given (within
+// `radius` km), otherwise newest. A signed-in donor only sees requests their
+// blood type can go to. Pass the returned nextCursor as `cursor` for the next
+// page. Nearby requests carry an ETA and are ordered by it within each
+// urgency; `maxEta` (minutes) drops slower ones and `includeRoute=true` adds
+// the route to the first few for the map.
+router.get('/active', auth.optional, [
+  query('bloodType').optional().isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+  query('component').optional().isIn(COMPONENTS).withMessage('Invalid blood component'),
+  query('urgency').optional().isIn(BloodRequest.URGENCIES).withMessage('Invalid urgency level'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  query('radius').optional().isFloat({ min: 1, max: 500 }).withMessage('Radius must be 1 to 500 km'),
+  query('maxEta').optional().isFloat({ min: 1 }).withMessage('Invalid maximum ETA'),
+  query('limit').optional().isInt({ min: 1, max: feed.MAX_LIMIT }).withMessage(`Limit must be 1 to ${feed.MAX_LIMIT}`),
+  query('cursor').optional().isString()
+], async (req, res) => {
   try {
-    const { bloodType, urgency, lat, lng, radius = 100 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    let query = { status: { $in: ['active', 'matched'] } };
+    const { bloodType, component, urgency, lat, lng, radius = 100, maxEta, includeRoute, cursor, limit } = req.query;
 
-    if (bloodType) {
-      query.bloodType = bloodType;
+    if ((lat === undefined) !== (lng === undefined)) {
+      return res.status(400).json({ message: 'Latitude and longitude must be given together' });
     }
 
-    if (urgency) {
-      query.urgency = urgency;
+    let donorBloodType;
+    if (req.user?.userType === 'donor') {
+      const donor = await User.findById(req.user.userId).select('bloodType');
+      donorBloodType = donor?.bloodType;
     }
 
-    let requests = await BloodRequest.find(query)
-      .populate('patient', 'name phone')
-      .populate('matchedDonors.donor', 'name phone bloodType')
-      .sort({ urgency: -1, createdAt: -1 });
+    const near = lat === undefined ? undefined : [parseFloat(lng), parseFloat(lat)];
+    const { items, nextCursor } = await feed.activeRequests({
+      filters: { bloodType, component, urgency, donorBloodType },
+      near,
+      radiusKm: parseFloat(radius),
+      cursor,
+      limit
+    });
 
-    // Filter by location if provided
-    if (lat && lng) {
-      requests = requests.filter(request => {
-        if (!request.hospital.location?.coordinates) return false;
-        
-        const distance = calculateDistance(
-          parseFloat(lat),
-          parseFloat(lng),
-          request.hospital.location.coordinates[1],
-          request.hospital.location.coordinates[0]
-        );
-        
-        return distance <= parseFloat(radius);
-      });
+    if (!near) {
+      return res.json({ requests: items.map(item => privacy.publicRequest(item.request)), nextCursor });
     }
 
-    res.json({ requests });
+    const etas = await routing.etasFrom(near, items.map(item => item.request.hospital.location.coordinates));
+
+    // Reordering stays within the page, so the cursor still follows on
+    const results = items
+      .map((item, index) => ({ ...privacy.publicRequest(item.request), distanceKm: item.distanceKm, eta: etas[index] }))
+      .filter(result => !maxEta || result.eta.minutes <= parseFloat(maxEta))
+      .sort((a, b) => URGENCY_RANK[b.urgency] - URGENCY_RANK[a.urgency] || a.eta.minutes - b.eta.minutes);
+
+    if (includeRoute === 'true') {
+      await Promise.all(results.slice(0, FEED_ROUTE_LIMIT).map(async result => {
+        result.route = await routing.route(near, result.hospital.location.coordinates);
+      }));
+    }
+
+    res.json({ requests: results, nextCursor });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Get active requests error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get specific blood request
-router.get('/:id', async (req, res) => {
+// Get specific blood request. The requesting side and admins see it in
+// full, matched donors see their own response (and the patient's contact
+// once they accepted), everyone else the public summary.
+router.get('/:id', auth.optional, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
     const request = await BloodRequest.findById(req.params.id)
       .populate('patient', 'name phone email')
-      .populate('matchedDonors.donor', 'name phone bloodType location address');
+      .populate('matchedDonors.donor', 'name phone bloodType');
 
     if (!request) {
       return res.status(404).json({ message: 'Request not found' });
     }
 
-    res.json({ request });
+    const viewer = req.user?.userId;
+
+    if (viewer && (req.user.userType === 'admin' || await isRequestOwner(request, viewer))) {
+      return res.json({ request: privacy.requestForOwner(request) });
+    }
+
+    if (viewer && isRequestDonor(request, viewer)) {
+      return res.json({ request: privacy.requestForDonor(request, viewer) });
+    }
+
+    res.json({ request: privacy.publicRequest(request) });
   } catch (error) {
     console.error('Get request error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get dispatch waves for a blood request (requesting side only)
+router.get('/:id/dispatch', auth, loadRequest(),
+  authorize(admin, requestOwner(), 'Not authorized to view dispatch for this request'), async (req, res) => {
+  try {
+    const request = await req.bloodRequest.populate('dispatch.waves.contacted.donor', 'name bloodType');
+
+    // Contacted donors have not accepted yet, so they stay masked
+    const { dispatch = {} } = request.toObject();
+    (dispatch.waves || []).forEach(wave => {
+      wave.contacted = wave.contacted.map(entry => ({
+        donor: entry.donor && {
+          _id: entry.donor._id,
+          name: privacy.maskName(entry.donor.name),
+          bloodType: entry.donor.bloodType
+        },
+        distance: privacy.distanceBucket(entry.distance),
+        etaMinutes: privacy.etaBucket(entry.etaMinutes)
+      }));
+    });
+
+    res.json({ requestId: request._id, dispatch });
+  } catch (error) {
+    console.error('Get dispatch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Respond to blood request (for donors)
-router.post('/:id/respond', auth, [
+router.post('/:id/respond', auth, authorize(role('donor')), loadRequest(), [
   body('status').isIn(['accepted', 'declined']).withMessage('Status must be accepted or declined'),
+  body('units').optional().isInt({ min: 1 }).withMessage('Pledged units must be at least 1'),
   body('notes').optional().isLength({ max: 200 })
 ], async (req, res) => {
   try {
-    const { status, notes } = req.body;
-    const requestId = req.params.id;
-    const donorId = req.user?.userId;
-
-    if (!donorId) {
-      return res.status(401).json({ message: 'Authentication required' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const request = await BloodRequest.findById(requestId);
-    if (!request) {
-      return res.status(404).json({ message: 'Request not found' });
-    }
+    const { status, notes } = req.body;
+    const donorId = req.user.userId;
+    const request = req.bloodRequest;
 
-    if (request.status !== 'active' && request.status !== 'matched') {
+    if (!request.isActive()) {
       return res.status(400).json({ message: 'Request is no longer active' });
     }
 
-    // Check if donor is already matched to this request
+    // A donor cannot pledge more than the units still uncovered
     const existingMatch = request.matchedDonors.find(
-      match => match.donor.toString() === donorId
+      match => match.donor.equals(donorId)
     );
 
+    if (existingMatch?.status === 'completed') {
+      return res.status(400).json({ message: 'Donation already recorded for this request' });
+    }
+
+    if (existingMatch?.status === 'reassigned') {
+      return res.status(400).json({ message: 'An administrator has reassigned this request to another donor' });
+    }
+
+    // Only a donor who can give this component may pledge. Accepting is an
+    // explicit opt-in, so being marked unavailable does not block it.
+    if (status === 'accepted') {
+      const donor = await User.findById(donorId);
+      if (!request.getCompatibleBloodTypes().includes(donor.bloodType)) {
+        return res.status(400).json({ message: 'Your blood type is not compatible with this request' });
+      }
+
+      const eligibility = donor.checkEligibility({ component: request.component, ignore: ['available'] });
+      if (!eligibility.eligible) {
+        return res.status(400).json({ message: 'Not eligible to donate for this request', eligibility });
+      }
+    }
+
+    const alreadyPledged = existingMatch?.status === 'accepted' ? existingMatch.pledgedUnits : 0;
+    const uncovered = request.requiredUnits - request.getPledgedUnits() + alreadyPledged;
+    const pledgedUnits = Math.min(parseInt(req.body.units, 10) || 1, Math.max(uncovered, 1));
+
     if (existingMatch) {
       // Update existing response
       existingMatch.status = status;
       existingMatch.respondedAt = new Date();
+      existingMatch.pledgedUnits = pledgedUnits;
       existingMatch.notes = notes;
     } else {
       // Add new response
       request.matchedDonors.push({
         donor: donorId,
         status,
+        pledgedUnits,
         respondedAt: new Date(),
         notes
       });
     }
 
-    // Update request status if donor accepted
-    if (status === 'accepted' && request.status === 'active') {
-      request.status = 'matched';
-    }
+    lifecycle.record(request, 'donor_responded', {
+      actor: req.user,
+      reason: notes,
+      data: { donor: donorId, status, units: pledgedUnits }
+    });
+
+    // Matched once pledges cover every required unit
+    const becameMatched = fulfillment.syncMatchStatus(request, req.user) === 'matched';
 
     await request.save();
+    await dispatcher.handleResponse(request);
 
-    // Create notification for patient
-    const notification = new Notification({
-      recipient: request.patient,
+    realtime.events.donorResponded(request, donorId, status);
+    if (becameMatched) {
+      realtime.events.requestMatched(request);
+    }
+
+    // Notify the patient and the facility's request managers
+    const owners = await getRequestOwners(request);
+    await notifications.notify(owners.map(recipient => ({
+      recipient,
       type: 'donor_response',
       title: 'Donor Response',
       message: `A donor has ${status} your blood request`,
@@ -129,13 +256,14 @@ router.post('/:id/respond', auth, [
         status
       },
       priority: status === 'accepted' ? 'high' : 'medium'
-    });
+    })));
 
-    await notification.save();
+    // Accepting reveals the patient's contact, so reload it for the view
+    await request.populate('patient', 'name phone');
 
     res.json({
       message: `Response ${status} successfully`,
-      request
+      request: privacy.requestForDonor(request, donorId)
     });
   } catch (error) {
     console.error('Respond to request error:', error);
@@ -143,63 +271,299 @@ router.post('/:id/respond', auth, [
   }
 });
 
-// Complete blood request
-router.post('/:id/complete', auth, async (req, res) => {
+// Confirm that an accepted donor has arrived (facility staff only)
+router.post('/:id/arrivals', auth, loadRequest(),
+  authorize(requestOwner('confirm_donations'), 'Only facility staff can confirm arrivals'), [
+  body('donorId').isMongoId().withMessage('Valid donor id is required')
+], async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const userId = req.user?.userId;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!userId) {
-      return res.status(401).json({ message: 'Authentication required' });
+    const request = req.bloodRequest;
+    if (!request.facility) {
+      return res.status(400).json({ message: 'Arrivals are only confirmed for requests at a facility' });
     }
 
-    const request = await BloodRequest.findById(requestId);
-    if (!request) {
-      return res.status(404).json({ message: 'Request not found' });
+    if (!request.isActive()) {
+      return res.status(400).json({ message: 'Request is no longer active' });
     }
 
-    // Check if user is the patient or an accepted donor
-    const isPatient = request.patient.toString() === userId;
-    const isAcceptedDonor = request.matchedDonors.some(
-      match => match.donor.toString() === userId && match.status === 'accepted'
+    const match = request.matchedDonors.find(
+      match => match.donor.equals(req.body.donorId) && match.status === 'accepted'
     );
+    if (!match) {
+      return res.status(404).json({ message: 'Donor has not accepted this request' });
+    }
+
+    match.arrivedAt = new Date();
+    match.arrivalConfirmedBy = req.user.userId;
+    lifecycle.record(request, 'donor_arrived', { actor: req.user, data: { donor: match.donor } });
+    await request.save();
+
+    realtime.emit([realtime.requestRoom(request._id), realtime.userRoom(match.donor)], 'donor:arrived', {
+      requestId: request._id,
+      donorId: match.donor,
+      arrivedAt: match.arrivedAt
+    });
 
-    if (!isPatient && !isAcceptedDonor) {
-      return res.status(403).json({ message: 'Not authorized to complete this request' });
+    res.json({
+      message: 'Donor arrival confirmed',
+      request
+    });
+  } catch (error) {
+    console.error('Confirm arrival error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record a donation from an accepted donor (patient or facility staff)
+router.post('/:id/donations', auth, loadRequest(),
+  authorize(requestOwner('confirm_donations'), 'Not authorized to record donations for this request'), [
+  body('donorId').isMongoId().withMessage('Valid donor id is required'),
+  body('units').optional().isInt({ min: 1 }),
+  body('hemoglobin').optional().isFloat({ min: 0, max: 25 }).withMessage('Hemoglobin must be in g/dL'),
+  body('outcome').optional().isIn(['completed', 'incomplete', 'deferred', 'adverse_reaction']),
+  body('notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (request.status !== 'matched') {
-      return res.status(400).json({ message: 'Request is not in matched status' });
+    const request = req.bloodRequest;
+
+    if (!request.isActive()) {
+      return res.status(400).json({ message: 'Request is no longer active' });
     }
 
-    // Update request status
-    request.status = 'completed';
-    request.completedAt = new Date();
+    const donation = await fulfillment.recordDonation(request, {
+      ...req.body,
+      units: req.body.units && parseInt(req.body.units, 10)
+    }, req.user);
+    await request.save();
 
-    // Update donor's last donation date
-    const acceptedDonor = request.matchedDonors.find(
-      match => match.status === 'accepted'
-    );
+    res.status(201).json({
+      message: 'Donation recorded successfully',
+      donation,
+      remainingUnits: request.remainingUnits,
+      request
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Record donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (acceptedDonor) {
-      await User.findByIdAndUpdate(acceptedDonor.donor, {
-        lastDonationDate: new Date(),
-        isAvailable: false
-      });
+// Complete blood request, possibly short of the required units. Facility
+// staff may list the donations they saw (or default to confirmed arrivals);
+// without a facility, the patient lists them. Anyone else, including an
+// accepted donor, can only close on donations already recorded.
+router.post('/:id/complete', auth, loadRequest(), authorize(
+  requestOwner('confirm_donations'),
+  requestOwner(),
+  requestDonor({ statuses: ['accepted'] }),
+  'Not authorized to complete this request'
+), [
+  body('donations').optional().isArray(),
+  body('donations.*.donorId').isMongoId().withMessage('Valid donor id is required'),
+  body('donations.*.units').optional().isInt({ min: 1 }),
+  body('donations.*.hemoglobin').optional().isFloat({ min: 0, max: 25 }).withMessage('Hemoglobin must be in g/dL'),
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const request = req.bloodRequest;
+    const userId = req.user.userId;
+
+    const isStaff = await isRequestOwner(request, userId, 'confirm_donations');
+    const isPatient = Boolean(request.patient && (request.patient._id || request.patient).equals(userId));
+    const canConfirm = isStaff || (isPatient && !request.facility);
+
+    if (!canConfirm && req.body.donations?.length) {
+      return res.status(403).json({ message: 'Only facility staff or the patient can list donations' });
+    }
+    if (!canConfirm && request.getDonatedUnits() === 0) {
+      return res.status(400).json({ message: 'Donations must be confirmed before the request can be closed' });
+    }
+
+    const result = await fulfillment.completeRequest(request, {
+      donations: canConfirm ? (req.body.donations || []) : [],
+      confirmArrivals: isStaff,
+      actor: req.user,
+      reason: req.body.reason
+    });
+
     await request.save();
+    realtime.events.requestCompleted(request);
+
+    // Points only ever come from a request the server has closed
+    rewards.creditRequest(request, { completedBy: userId })
+      .catch(error => console.error('Credit rewards error:', error));
 
     res.json({
-      message: 'Request completed successfully',
-      request
+      message: result.partial
+        ? `Request closed with ${result.fulfilledUnits} of ${request.requiredUnits} units`
+        : 'Request completed successfully',
+      ...result,
+      request: isStaff || isPatient ? request : privacy.requestForDonor(request, userId)
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Complete request error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Donors contacted about or on a request talk to its requesting side
+// through the relay
+const relayParticipant = authorize(
+  requestOwner(),
+  requestDonor({ contacted: true }),
+  'Not a participant of this request'
+);
+
+// Work out which side of the relay the caller is on and which donor's
+// thread they mean, or send the error response
+async function resolveThread(req, res, donorId) {
+  const request = req.bloodRequest;
+
+  if (await isRequestOwner(request, req.user.userId)) {
+    if (donorId && !isRequestDonor(request, donorId, { contacted: true })) {
+      res.status(404).json({ message: 'Donor is not part of this request' });
+      return null;
+    }
+    return { role: 'requester', donor: donorId && new mongoose.Types.ObjectId(donorId) };
+  }
+
+  return { role: 'donor', donor: req.user.userId };
+}
+
+// Send a message through the platform relay. Donors write to the requesting
+// side; the patient or facility staff write to one donor.
+router.post('/:id/messages', auth, loadRequest(), relayParticipant, [
+  body('body').trim().notEmpty().withMessage('Message is required').isLength({ max: 1000 }),
+  body('donorId').optional().isMongoId().withMessage('Invalid donor id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = req.bloodRequest;
+    const thread = await resolveThread(req, res, req.body.donorId);
+    if (!thread) return;
+
+    if (!thread.donor) {
+      return res.status(400).json({ message: 'Donor id is required' });
+    }
+
+    if (!request.isActive()) {
+      return res.status(400).json({ message: 'Request is no longer active' });
+    }
+
+    const message = await Message.create({
+      request: request._id,
+      donor: thread.donor,
+      sender: req.user.userId,
+      senderRole: thread.role,
+      body: req.body.body
+    });
+
+    const recipients = thread.role === 'donor'
+      ? await getRequestOwners(request)
+      : [thread.donor];
+
+    // The notification carries the text but never the sender's contact
+    await notifications.notify(recipients.map(recipient => ({
+      recipient,
+      type: 'message',
+      title: thread.role === 'donor'
+        ? `Message from a donor about your ${request.bloodType} request`
+        : `Message about the ${request.bloodType} request at ${request.hospital.name}`,
+      message: message.body,
+      data: {
+        requestId: request._id,
+        donorId: thread.role === 'requester' ? undefined : thread.donor,
+        messageId: message._id
+      },
+      priority: 'medium'
+    })));
+
+    realtime.emit(recipients.map(realtime.userRoom), 'message:new', {
+      requestId: request._id,
+      messageId: message._id,
+      senderRole: thread.role
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      relayed: message
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Read relayed messages. Donors see their own thread; the requesting side
+// sees every thread or the one with `donorId`.
+router.get('/:id/messages', auth, loadRequest(), relayParticipant, async (req, res) => {
+  try {
+    if (req.query.donorId && !mongoose.Types.ObjectId.isValid(req.query.donorId)) {
+      return res.status(400).json({ message: 'Invalid donor id' });
+    }
+
+    const request = req.bloodRequest;
+    const thread = await resolveThread(req, res, req.query.donorId);
+    if (!thread) return;
+
+    const filter = { request: request._id };
+    if (thread.donor) filter.donor = thread.donor;
+
+    const messages = await Message.find(filter)
+      .select('-sender')
+      .sort({ createdAt: 1 })
+      .limit(500);
+
+    // Messages from the other side are read once fetched
+    await Message.updateMany(
+      { ...filter, senderRole: { $ne: thread.role }, readAt: { $exists: false } },
+      { readAt: new Date() }
+    );
+
+    // Threads are keyed by the donor's id; names stay masked until accepted
+    const donors = await User.find({ _id: { $in: messages.map(message => message.donor) } }).select('name');
+    const names = new Map(donors.map(donor => {
+      const match = request.matchedDonors.find(match => match.donor.equals(donor._id));
+      return [donor._id.toString(), match && privacy.canSeeContact(match) ? donor.name : privacy.maskName(donor.name)];
+    }));
+
+    res.json({
+      messages: messages.map(message => ({
+        ...message.toJSON(),
+        donorName: thread.role === 'requester' ? names.get(message.donor.toString()) : undefined
+      }))
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get request statistics
 router.get('/stats/overview', async (req, res) => {
   try {
@@ -214,7 +578,7 @@ router.get('/stats/overview', async (req, res) => {
 
     const totalRequests = await BloodRequest.countDocuments();
     const activeRequests = await BloodRequest.countDocuments({
-      status: { $in: ['active', 'matched'] }
+      status: { $in: lifecycle.OPEN_STATUSES }
     });
 
     const urgencyStats = await BloodRequest.aggregate([
@@ -238,18 +602,4 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c; // Distance in kilometers
-  return distance;
-}
-
 module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Challenge = require('../models/Challenge');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const rewards = require('../services/rewards');
+const { BLOOD_TYPES } = require('../shared/compatibility');
+const router = express.Router();
+
+const METRICS = Challenge.schema.path('metric').enumValues;
+
+// Current donor's points, badges and challenge progress
+router.get('/me', auth, authorize(authorize.role('donor')), async (req, res) => {
+  try {
+    const donor = await User.findById(req.user.userId).select('userType bloodType address badges');
+    if (!donor || donor.userType !== 'donor') {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    res.json(await rewards.summarize(donor));
+  } catch (error) {
+    console.error('Get rewards error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Badge definitions
+router.get('/badges', (req, res) => {
+  res.json({
+    badges: rewards.badges.map(({ id, name, description }) => ({ id, name, description }))
+  });
+});
+
+// Top donors, overall or by city, blood group or organization
+router.get('/leaderboard', [
+  query('scope').optional().isIn(Object.keys(rewards.LEADERBOARD_SCOPES)),
+  query('value').if(query('scope').exists()).trim().notEmpty().withMessage('A value is required for the scope'),
+  query('period').optional().isIn(['week', 'month', 'year', 'all']),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scope, value, period = 'all' } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const leaders = await rewards.leaderboard({ scope, value, period, limit });
+
+    res.json({ scope: scope || 'global', value, period, leaders });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Challenges running now
+router.get('/challenges', async (req, res) => {
+  try {
+    const now = new Date();
+    const challenges = await Challenge.find({ startsAt: { $lte: now }, endsAt: { $gte: now } })
+      .select('-completedBy')
+      .sort({ endsAt: 1 });
+
+    res.json({ challenges });
+  } catch (error) {
+    console.error('Get challenges error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a time-bounded challenge (admins only)
+router.post('/challenges', auth, authorize(authorize.admin), [
+  body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 120 }),
+  body('description').optional().isLength({ max: 1000 }),
+  body('metric').isIn(METRICS).withMessage('Invalid challenge metric'),
+  body('target').isInt({ min: 1 }).withMessage('Target must be at least 1'),
+  body('startsAt').isISO8601().withMessage('Valid start time is required'),
+  body('endsAt').isISO8601().withMessage('Valid end time is required'),
+  body('city').optional().trim().notEmpty(),
+  body('bloodTypes').optional().isArray(),
+  body('bloodTypes.*').isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+  body('rewardPoints').optional().isInt({ min: 0, max: 10000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, metric, target, city, bloodTypes, rewardPoints } = req.body;
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+
+    if (endsAt <= startsAt) {
+      return res.status(400).json({ message: 'Challenge must end after it starts' });
+    }
+
+    const challenge = await Challenge.create({
+      title,
+      description,
+      metric,
+      target,
+      startsAt,
+      endsAt,
+      city,
+      bloodTypes,
+      rewardPoints,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Challenge created successfully',
+      challenge
+    });
+  } catch (error) {
+    console.error('Create challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
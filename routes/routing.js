@@ -0,0 +1,32 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const routing = require('../services/routing');
+const router = express.Router();
+
+// Driving route between two points for map display, with its ETA
+router.get('/route', [
+  query('fromLat').isFloat({ min: -90, max: 90 }).withMessage('Valid start latitude is required'),
+  query('fromLng').isFloat({ min: -180, max: 180 }).withMessage('Valid start longitude is required'),
+  query('toLat').isFloat({ min: -90, max: 90 }).withMessage('Valid end latitude is required'),
+  query('toLng').isFloat({ min: -180, max: 180 }).withMessage('Valid end longitude is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromLat, fromLng, toLat, toLng } = req.query;
+    const route = await routing.route(
+      [parseFloat(fromLng), parseFloat(fromLat)],
+      [parseFloat(toLng), parseFloat(toLat)]
+    );
+
+    res.json({ route });
+  } catch (error) {
+    console.error('Get route error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const VerificationDocument = require('../models/VerificationDocument');
+const AdminAction = require('../models/AdminAction');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const verification = require('../services/verification');
+const notifications = require('../services/notifications');
+const router = express.Router();
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads', 'verification');
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'];
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(UPLOAD_DIR, { recursive: true }, error => cb(error, UPLOAD_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${req.user.userId}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, ALLOWED_TYPES.includes(file.mimetype));
+  }
+});
+
+// Turn multer errors (e.g. file too large) into 400 responses
+function uploadDocument(req, res, next) {
+  upload.single('document')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+}
+
+// Public view of a document; OCR text and file path stay server-side
+function serialize(document) {
+  return {
+    id: document._id,
+    documentType: document.documentType,
+    status: document.status,
+    confidence: document.confidence,
+    extracted: document.extracted,
+    flags: document.flags,
+    reviewNote: document.reviewNote,
+    reviewedAt: document.reviewedAt,
+    createdAt: document.createdAt
+  };
+}
+
+// Load a document the current user owns, or any document for admins
+async function findDocument(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Document not found' });
+    return null;
+  }
+
+  const document = await VerificationDocument.findById(req.params.id);
+  if (!document || (!document.user.equals(req.user.userId) && req.user.userType !== 'admin')) {
+    res.status(404).json({ message: 'Document not found' });
+    return null;
+  }
+
+  return document;
+}
+
+// Upload a blood group card, lab report or ID for verification
+router.post('/documents', auth, authorize(authorize.role('donor')), uploadDocument, [
+  body('documentType').isIn(['blood_group_card', 'lab_report', 'id']).withMessage('Invalid document type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || !req.file) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return res.status(400).json({
+        errors: req.file ? errors.array() : [{ msg: 'An image of the document is required', path: 'document' }]
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const document = new VerificationDocument({
+      user: user._id,
+      documentType: req.body.documentType,
+      file: {
+        path: req.file.path,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      }
+    });
+
+    await verification.processDocument(document, user);
+
+    res.status(201).json({
+      message: document.status === 'auto_verified'
+        ? 'Document verified successfully'
+        : 'Document submitted for manual review',
+      document: serialize(document),
+      isVerified: user.isVerified
+    });
+  } catch (error) {
+    console.error('Upload verification document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the current user's documents
+router.get('/documents', auth, async (req, res) => {
+  try {
+    const documents = await VerificationDocument.find({ user: req.user.userId })
+      .sort({ createdAt: -1 });
+
+    res.json({ documents: documents.map(serialize) });
+  } catch (error) {
+    console.error('Get verification documents error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Documents waiting for manual review, oldest first (admins only)
+router.get('/review-queue', auth, authorize(authorize.admin), async (req, res) => {
+  try {
+    const documents = await VerificationDocument.find({ status: 'needs_review' })
+      .populate('user', 'name email bloodType isVerified')
+      .sort({ createdAt: 1 })
+      .limit(parseInt(req.query.limit, 10) || 50);
+
+    res.json({
+      documents: documents.map(document => ({
+        ...serialize(document),
+        user: document.user,
+        ocrText: document.ocr?.text
+      }))
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one document
+router.get('/documents/:id', auth, async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    res.json({ document: serialize(document) });
+  } catch (error) {
+    console.error('Get verification document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the uploaded image
+router.get('/documents/:id/file', auth, async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    res.type(document.file.mimeType);
+    res.sendFile(document.file.path);
+  } catch (error) {
+    console.error('Get verification file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a flagged document (admins only)
+router.post('/documents/:id/review', auth, authorize(authorize.admin), [
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']),
+  body('note').if(body('decision').equals('reject'))
+    .trim().notEmpty().withMessage('A note is required when rejecting'),
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    const { decision, note } = req.body;
+    const approved = decision === 'approve';
+
+    const user = await User.findById(document.user).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    document.status = approved ? 'approved' : 'rejected';
+    document.reviewedBy = req.user.userId;
+    document.reviewedAt = new Date();
+    document.reviewNote = note;
+    await document.save();
+
+    // The reviewer settles the blood group when the document and profile disagree
+    const bloodType = req.body.bloodType || document.extracted?.bloodGroup;
+    if (approved && bloodType && document.documentType !== 'id') {
+      user.bloodType = bloodType;
+    }
+
+    // Rejecting a document only unverifies the user if it is the one that
+    // verified them; a user verified some other way stays verified
+    const settlesUser = approved || !user.isVerified || Boolean(user.verification?.document?.equals(document._id));
+    if (settlesUser) {
+      user.isVerified = approved;
+      user.verification = {
+        status: approved ? 'approved' : 'rejected',
+        reason: note,
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date(),
+        document: approved ? document._id : undefined
+      };
+    }
+    await user.save();
+
+    await AdminAction.create({
+      admin: req.user.userId,
+      action: approved ? 'verify_approve' : 'verify_reject',
+      targetType: 'User',
+      target: user._id,
+      reason: note,
+      details: { documentId: document._id, bloodType: user.bloodType },
+      ip: req.ip
+    });
+
+    await notifications.notify({
+      recipient: user._id,
+      type: 'system_alert',
+      title: approved ? 'You are verified' : 'Document rejected',
+      message: approved
+        ? 'Your document has been reviewed and your donor profile is verified.'
+        : `Your verification document was rejected: ${note}`,
+      priority: 'medium'
+    });
+
+    res.json({
+      message: approved ? 'Document approved' : 'Document rejected',
+      document: serialize(document)
+    });
+  } catch (error) {
+    console.error('Review verification document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
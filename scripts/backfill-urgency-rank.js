@@ -0,0 +1,26 @@
+// Set urgencyRank on requests saved before it existed, so they sort and
+// page correctly in the active-requests feed. Safe to run more than once.
+// Usage: npm run backfill-urgency-rank
+const mongoose = require('mongoose');
+require('dotenv').config();
+const BloodRequest = require('../models/BloodRequest');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood-donor-matcher');
+
+  for (const [urgency, rank] of Object.entries(BloodRequest.URGENCY_RANK)) {
+    const result = await BloodRequest.updateMany(
+      { urgency, urgencyRank: { $ne: rank } },
+      { $set: { urgencyRank: rank } }
+    );
+    console.log(`${urgency}: ${result.modifiedCount} updated`);
+  }
+
+  await BloodRequest.syncIndexes();
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('Backfill urgency rank error:', error);
+  process.exit(1);
+});
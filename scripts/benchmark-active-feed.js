@@ -0,0 +1,152 @@
+// Benchmark fixture for the active-requests feed (services/feed). Seeds a
+// throwaway database with requests spread around the gazetteer cities, then
+// times first and deep pages with and without a location and a donor blood
+// type. Exits non-zero when any scenario's p95 is over budget.
+// Usage: npm run benchmark-feed [-- --keep]
+//
+// BENCHMARK_MONGODB_URI  database to use; its name must end in "-benchmark"
+//                        because it is dropped afterwards (unless --keep)
+// BENCHMARK_COUNT        requests to seed (default 100000)
+// BENCHMARK_BUDGET_MS    p95 budget per page (default 100)
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const BloodRequest = require('../models/BloodRequest');
+const feed = require('../services/feed');
+const { BLOOD_TYPES, COMPONENTS } = require('../shared/compatibility');
+
+const URI = process.env.BENCHMARK_MONGODB_URI || 'mongodb://localhost:27017/blood-donor-matcher-benchmark';
+const COUNT = parseInt(process.env.BENCHMARK_COUNT, 10) || 100000;
+const BUDGET_MS = parseFloat(process.env.BENCHMARK_BUDGET_MS) || 100;
+const KEEP = process.argv.includes('--keep');
+
+const BATCH_SIZE = 5000;
+const RUNS = 20;
+const DEEP_PAGES = 5;
+
+// Roughly how requests end up over time: most are closed
+const STATUSES = [
+  ['active', 0.3],
+  ['matched', 0.1],
+  ['completed', 0.35],
+  ['expired', 0.15],
+  ['cancelled', 0.1]
+];
+const URGENCIES = [['low', 0.2], ['medium', 0.4], ['high', 0.3], ['critical', 0.1]];
+
+const cities = require(path.join(__dirname, '..', 'config', 'gazetteer', 'in.json')).cities;
+
+function pick(weighted) {
+  let roll = Math.random();
+  for (const [value, weight] of weighted) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return weighted[weighted.length - 1][0];
+}
+
+function randomItem(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+// Raw documents, as the model would save them
+function fixture(index) {
+  const city = randomItem(cities);
+  const [lng, lat] = city.location;
+  const urgency = pick(URGENCIES);
+  const createdAt = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000);
+
+  return {
+    patient: new mongoose.Types.ObjectId(),
+    bloodType: randomItem(BLOOD_TYPES),
+    component: Math.random() < 0.7 ? 'whole_blood' : randomItem(COMPONENTS),
+    urgency,
+    urgencyRank: BloodRequest.URGENCY_RANK[urgency],
+    hospital: {
+      name: `${city.name} Hospital ${index % 50}`,
+      address: { city: city.name, state: city.state },
+      // Within ~30 km of the city centre
+      location: { type: 'Point', coordinates: [lng + (Math.random() - 0.5) * 0.6, lat + (Math.random() - 0.5) * 0.6] }
+    },
+    status: pick(STATUSES),
+    requiredUnits: 1 + Math.floor(Math.random() * 3),
+    matchedDonors: [],
+    events: [],
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+async function seed() {
+  await BloodRequest.deleteMany({});
+  for (let seeded = 0; seeded < COUNT; seeded += BATCH_SIZE) {
+    const size = Math.min(BATCH_SIZE, COUNT - seeded);
+    await BloodRequest.collection.insertMany(Array.from({ length: size }, (_, i) => fixture(seeded + i)));
+  }
+  await BloodRequest.syncIndexes();
+}
+
+// Follow the cursor `pages` deep and time every page
+async function time(options, pages = 1) {
+  const timings = [];
+
+  for (let run = 0; run < RUNS; run++) {
+    let cursor;
+    for (let page = 0; page < pages; page++) {
+      const started = process.hrtime.bigint();
+      const { nextCursor } = await feed.activeRequests({ ...options, cursor });
+      timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+
+      cursor = nextCursor;
+      if (!cursor) break;
+    }
+  }
+
+  timings.sort((a, b) => a - b);
+  const at = share => timings[Math.min(timings.length - 1, Math.floor(timings.length * share))];
+  return { median: at(0.5), p95: at(0.95) };
+}
+
+async function main() {
+  const dbName = new URL(URI).pathname.slice(1);
+  if (!dbName.endsWith('-benchmark')) {
+    console.error(`Refusing to use "${dbName}": the benchmark database name must end in "-benchmark"`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(URI);
+
+  console.log(`Seeding ${COUNT} requests...`);
+  await seed();
+
+  const delhi = cities.find(city => city.name === 'Delhi').location;
+  const scenarios = [
+    ['first page', {}, 1],
+    [`${DEEP_PAGES} pages deep`, {}, DEEP_PAGES],
+    ['first page, O+ donor', { filters: { donorBloodType: 'O+' } }, 1],
+    ['nearby (25 km)', { near: delhi, radiusKm: 25 }, 1],
+    [`nearby (25 km), ${DEEP_PAGES} pages deep`, { near: delhi, radiusKm: 25 }, DEEP_PAGES],
+    ['nearby (100 km), O+ donor', { near: delhi, radiusKm: 100, filters: { donorBloodType: 'O+' } }, 1]
+  ];
+
+  let overBudget = false;
+  for (const [name, options, pages] of scenarios) {
+    const { median, p95 } = await time(options, pages);
+    const failed = p95 > BUDGET_MS;
+    overBudget = overBudget || failed;
+    console.log(`${failed ? 'SLOW' : 'ok  '} ${name}: median ${median.toFixed(1)} ms, p95 ${p95.toFixed(1)} ms`);
+  }
+
+  if (!KEEP) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+
+  if (overBudget) {
+    console.error(`Some pages took longer than ${BUDGET_MS} ms (p95)`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark error:', error);
+  process.exit(1);
+});
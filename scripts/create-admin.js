@@ -0,0 +1,35 @@
+// Promote an existing user to admin so the first admin can be created.
+// Usage: npm run create-admin -- user@example.com
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+async function main() {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood-donor-matcher');
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { userType: 'admin' },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.name} <${user.email}> is now an admin`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('Create admin error:', error);
+  process.exit(1);
+});
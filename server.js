@@ -2,12 +2,13 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
-const socketIo = require('socket.io');
 require('dotenv').config();
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, {
+
+// Socket.io for real-time updates, authenticated with the API's JWT
+require('./services/realtime').init(server, {
   cors: {
     origin: "http://localhost:3000",
     methods: ["GET", "POST"]
@@ -18,6 +19,7 @@ const io = socketIo(server, {
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+app.use('/shared', express.static('shared'));
 
 // MongoDB Connection (commented out for demo)
 // mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood-donor-matcher', {
@@ -25,34 +27,40 @@ app.use(express.static('public'));
 //   useUnifiedTopology: true,
 // });
 
+// Background work that needs the database
+mongoose.connection.once('open', () => {
+  // Resume donor dispatch waves interrupted by a restart
+  require('./services/dispatcher').resume()
+    .then(count => count && console.log(`Resumed dispatch for ${count} requests`))
+    .catch(error => console.error('Dispatch resume error:', error));
+
+  // Retry notification deliveries that failed or were left pending
+  require('./services/notifications').startWorker();
+
+  // Expire open requests that passed their urgency deadline
+  require('./services/expiry').startJob();
+
+  // Remind donors of upcoming appointments
+  require('./services/appointments').startReminderJob();
+});
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/donors', require('./routes/donors'));
 app.use('/api/patients', require('./routes/patients'));
 app.use('/api/requests', require('./routes/requests'));
 app.use('/api/matching', require('./routes/matching'));
-
-// Socket.io for real-time updates
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-room', (room) => {
-    socket.join(room);
-    console.log(`User ${socket.id} joined room ${room}`);
-  });
-
-  socket.on('new-request', (data) => {
-    socket.broadcast.emit('request-update', data);
-  });
-
-  socket.on('donor-response', (data) => {
-    socket.to(data.requestId).emit('donor-update', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/facilities', require('./routes/facilities'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/verification', require('./routes/verification'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/campaigns', require('./routes/campaigns'));
+app.use('/api/rewards', require('./routes/rewards'));
+app.use('/api/certificates', require('./routes/certificates'));
+app.use('/api/geocoding', require('./routes/geocoding'));
+app.use('/api/routing', require('./routes/routing'));
 
 // Serve static files from React app in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,372 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSlot = require('../models/AppointmentSlot');
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const notifications = require('./notifications');
+const lifecycle = require('./lifecycle');
+
+// Remind donors this long before their appointment
+const REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 10 * 60 * 1000;
+
+let reminderJob = null;
+
+function appointmentError(message, status = 400, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+function venueName(slot) {
+  return slot.title || slot.venue?.name || 'the donation centre';
+}
+
+// Another booked appointment of the donor overlapping the given window
+function findConflict(donorId, startsAt, endsAt, excludeIds = []) {
+  return Appointment.findOne({
+    _id: { $nin: excludeIds.filter(Boolean) },
+    donor: donorId,
+    status: 'booked',
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt }
+  });
+}
+
+// Reject donors who will not be eligible on the slot date or are busy then.
+// Being marked unavailable is ignored: booking is an explicit opt-in. So is
+// a missing hemoglobin reading, which is taken at the appointment.
+async function checkDonor(donor, slot, excludeId) {
+  if (!donor || donor.userType !== 'donor') {
+    throw appointmentError('Only donors can book appointments', 403);
+  }
+
+  const eligibility = donor.checkEligibility({
+    component: slot.component,
+    date: slot.startsAt,
+    ignore: ['available', 'hemoglobin']
+  });
+  if (!eligibility.eligible) {
+    throw appointmentError('Not eligible to donate on this date', 400, { eligibility });
+  }
+
+  const conflict = await findConflict(donor._id, slot.startsAt, slot.endsAt, [excludeId]);
+  if (conflict) {
+    throw appointmentError('You already have an appointment at this time', 409, { conflict: conflict._id });
+  }
+}
+
+// Take one place in the slot if any are left
+function reserve(slotId, donorId) {
+  return AppointmentSlot.findOneAndUpdate(
+    {
+      _id: slotId,
+      status: 'open',
+      startsAt: { $gt: new Date() },
+      $expr: { $lt: ['$bookedCount', '$capacity'] }
+    },
+    { $inc: { bookedCount: 1 }, $pull: { waitlist: { donor: donorId } } },
+    { new: true }
+  );
+}
+
+function release(slotId) {
+  return AppointmentSlot.updateOne(
+    { _id: slotId, bookedCount: { $gt: 0 } },
+    { $inc: { bookedCount: -1 } }
+  );
+}
+
+// Link the appointment to the donor's accepted response on a blood request
+async function loadRequestMatch(requestId, donorId, slot) {
+  const request = await BloodRequest.findById(requestId);
+  if (!request) {
+    throw appointmentError('Request not found', 404);
+  }
+
+  if (!request.isActive()) {
+    throw appointmentError('Request is no longer active');
+  }
+
+  const match = request.matchedDonors.find(
+    match => match.donor.equals(donorId) && match.status === 'accepted'
+  );
+  if (!match) {
+    throw appointmentError('You have not accepted this request', 403);
+  }
+
+  if (request.facility && !request.facility.equals(slot.facility)) {
+    throw appointmentError('Slot is not at the facility that raised the request');
+  }
+
+  return { request, match };
+}
+
+// Book a donor into a slot, optionally for a blood request they accepted
+async function book(donorId, slotId, { requestId, rescheduledFrom } = {}) {
+  const slot = await AppointmentSlot.findById(slotId);
+  if (!slot) {
+    throw appointmentError('Slot not found', 404);
+  }
+
+  if (!slot.isBookable()) {
+    throw appointmentError('Slot is no longer open for booking');
+  }
+
+  const donor = await User.findById(donorId);
+  await checkDonor(donor, slot, rescheduledFrom);
+
+  const existing = await Appointment.findOne({ donor: donorId, slot: slot._id, status: 'booked' });
+  if (existing) {
+    throw appointmentError('You have already booked this slot', 409);
+  }
+
+  const linked = requestId ? await loadRequestMatch(requestId, donorId, slot) : null;
+
+  const reserved = await reserve(slot._id, donorId);
+  if (!reserved) {
+    throw appointmentError('Slot is full; join the waitlist instead', 409, { full: true });
+  }
+
+  const appointment = await Appointment.create({
+    donor: donorId,
+    slot: slot._id,
+    facility: slot.facility,
+    request: linked?.request._id,
+    startsAt: slot.startsAt,
+    endsAt: slot.endsAt,
+    rescheduledFrom
+  });
+
+  // Two bookings racing through checkDonor both pass it. Check again now
+  // this one is visible: of two overlapping bookings at least one sees the
+  // other and backs out.
+  const conflict = await findConflict(donorId, slot.startsAt, slot.endsAt, [appointment._id, rescheduledFrom]);
+  if (conflict) {
+    await Appointment.deleteOne({ _id: appointment._id });
+    await release(slot._id);
+    throw appointmentError('You already have an appointment at this time', 409, { conflict: conflict._id });
+  }
+
+  if (linked) {
+    linked.match.appointment = appointment._id;
+    lifecycle.record(linked.request, 'appointment_booked', {
+      actor: { userId: donorId, userType: 'donor' },
+      data: { donor: donorId, appointment: appointment._id, startsAt: slot.startsAt }
+    });
+    await linked.request.save();
+  }
+
+  return appointment;
+}
+
+// Give freed places to waitlisted donors who can still make it
+async function promoteWaitlist(slotId) {
+  const promoted = [];
+
+  for (;;) {
+    const slot = await AppointmentSlot.findById(slotId);
+    if (!slot || !slot.isBookable() || slot.available === 0 || !slot.waitlist.length) break;
+
+    const next = slot.waitlist[0];
+    await AppointmentSlot.updateOne({ _id: slotId }, { $pull: { waitlist: { _id: next._id } } });
+
+    try {
+      const appointment = await book(next.donor, slotId);
+      promoted.push(appointment);
+
+      await notifications.notify({
+        recipient: next.donor,
+        type: 'appointment_update',
+        title: 'You are booked in',
+        message: `A place opened up at ${venueName(slot)} on ${slot.startsAt.toLocaleString()} and you have been booked from the waitlist`,
+        data: { appointmentId: appointment._id, facilityId: slot.facility, startsAt: slot.startsAt },
+        priority: 'high'
+      });
+    } catch (error) {
+      // Donor can no longer attend (ineligible or busy); try the next one
+      if (!error.status) throw error;
+    }
+  }
+
+  return promoted;
+}
+
+// Drop a cancelled appointment from the response it was booked for
+async function unlinkRequest(appointment) {
+  if (!appointment.request) return;
+
+  await BloodRequest.updateOne(
+    { _id: appointment.request, 'matchedDonors.appointment': appointment._id },
+    { $unset: { 'matchedDonors.$.appointment': 1 } }
+  );
+}
+
+async function cancel(appointment, { reason } = {}) {
+  if (appointment.status !== 'booked') {
+    throw appointmentError('Appointment is not booked');
+  }
+
+  appointment.status = 'cancelled';
+  appointment.cancelledAt = new Date();
+  appointment.cancellationReason = reason;
+  await appointment.save();
+
+  await unlinkRequest(appointment);
+  await release(appointment.slot);
+  await promoteWaitlist(appointment.slot);
+
+  return appointment;
+}
+
+// Move a booking to another slot; the old one is only released once the
+// new one is secured
+async function reschedule(appointment, slotId) {
+  if (appointment.status !== 'booked') {
+    throw appointmentError('Appointment is not booked');
+  }
+
+  if (appointment.slot.equals(slotId)) {
+    throw appointmentError('Appointment is already in this slot');
+  }
+
+  const replacement = await book(appointment.donor, slotId, {
+    requestId: appointment.request,
+    rescheduledFrom: appointment._id
+  });
+
+  await cancel(appointment, { reason: 'Rescheduled' });
+  return replacement;
+}
+
+async function joinWaitlist(donorId, slotId) {
+  const slot = await AppointmentSlot.findById(slotId);
+  if (!slot) {
+    throw appointmentError('Slot not found', 404);
+  }
+
+  if (!slot.isBookable()) {
+    throw appointmentError('Slot is no longer open for booking');
+  }
+
+  if (slot.available > 0) {
+    throw appointmentError('Slot still has places; book it instead');
+  }
+
+  if (slot.waitlist.some(entry => entry.donor.equals(donorId))) {
+    throw appointmentError('You are already on the waitlist', 409);
+  }
+
+  const donor = await User.findById(donorId);
+  await checkDonor(donor, slot);
+
+  slot.waitlist.push({ donor: donorId });
+  await slot.save();
+
+  return { slot, position: slot.waitlist.length };
+}
+
+async function leaveWaitlist(donorId, slotId) {
+  const result = await AppointmentSlot.updateOne(
+    { _id: slotId, 'waitlist.donor': donorId },
+    { $pull: { waitlist: { donor: donorId } } }
+  );
+
+  if (!result.modifiedCount) {
+    throw appointmentError('You are not on the waitlist', 404);
+  }
+}
+
+// Cancel a whole slot and tell every booked donor
+async function cancelSlot(slot, { reason } = {}) {
+  if (slot.status === 'cancelled') {
+    throw appointmentError('Slot is already cancelled');
+  }
+
+  slot.status = 'cancelled';
+  slot.cancelledAt = new Date();
+  slot.waitlist = [];
+  await slot.save();
+
+  const booked = await Appointment.find({ slot: slot._id, status: 'booked' });
+  await Appointment.updateMany(
+    { slot: slot._id, status: 'booked' },
+    { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason || 'Slot cancelled' }
+  );
+  for (const appointment of booked) {
+    await unlinkRequest(appointment);
+  }
+
+  await notifications.notify(booked.map(appointment => ({
+    recipient: appointment.donor,
+    type: 'appointment_update',
+    title: 'Appointment cancelled',
+    message: `Your appointment at ${venueName(slot)} on ${slot.startsAt.toLocaleString()} was cancelled` +
+      (reason ? `: ${reason}` : ''),
+    data: { appointmentId: appointment._id, facilityId: slot.facility, startsAt: slot.startsAt },
+    priority: 'high'
+  })));
+
+  return booked.length;
+}
+
+// Remind donors of appointments starting within the lead time
+async function sendReminders(now = new Date()) {
+  const due = await Appointment.find({
+    status: 'booked',
+    reminderSentAt: { $exists: false },
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_MS) }
+  }).populate('slot');
+
+  for (const appointment of due) {
+    await notifications.notify({
+      recipient: appointment.donor,
+      type: 'donation_reminder',
+      title: 'Donation appointment reminder',
+      message: `Reminder: you are booked to donate at ${venueName(appointment.slot)} on ${appointment.startsAt.toLocaleString()}. ` +
+        'Eat well and drink plenty of water beforehand.',
+      data: {
+        appointmentId: appointment._id,
+        facilityId: appointment.facility,
+        requestId: appointment.request,
+        startsAt: appointment.startsAt
+      },
+      priority: 'medium'
+    });
+
+    appointment.reminderSentAt = new Date();
+    await appointment.save();
+  }
+
+  return due.length;
+}
+
+function startReminderJob(interval = POLL_INTERVAL_MS) {
+  if (reminderJob) return;
+
+  reminderJob = setInterval(() => {
+    sendReminders().catch(error => console.error('Appointment reminder error:', error));
+  }, interval);
+
+  if (reminderJob.unref) reminderJob.unref();
+}
+
+function stopReminderJob() {
+  clearInterval(reminderJob);
+  reminderJob = null;
+}
+
+module.exports = {
+  REMINDER_LEAD_MS,
+  venueName,
+  book,
+  cancel,
+  reschedule,
+  joinWaitlist,
+  leaveWaitlist,
+  promoteWaitlist,
+  cancelSlot,
+  sendReminders,
+  startReminderJob,
+  stopReminderJob
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Certificate = require('../models/Certificate');
+const { LIVES_PER_UNIT } = require('../models/Donation');
+
+const COMPONENT_NAMES = {
+  whole_blood: 'Whole Blood',
+  rbc: 'Red Blood Cells',
+  platelets: 'Platelets',
+  plasma: 'Plasma'
+};
+
+// A key of its own, so rotating JWT_SECRET does not void every certificate
+// and a leaked token key cannot forge one
+function signingKey() {
+  const key = process.env.CERTIFICATE_SECRET;
+  if (!key) throw new Error('CERTIFICATE_SECRET is not configured');
+  return key;
+}
+
+function publicUrl() {
+  return (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+}
+
+// Every printed field, in a fixed order
+function canonicalPayload(certificate) {
+  return [
+    certificate.certificateId,
+    certificate.donorName,
+    certificate.donatedAt.toISOString().slice(0, 10),
+    certificate.facilityName,
+    certificate.component
+  ].join('|');
+}
+
+function sign(certificate) {
+  return crypto.createHmac('sha256', signingKey()).update(canonicalPayload(certificate)).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function generateId() {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `BDM-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8)}`;
+}
+
+function verificationUrl(certificate) {
+  return `${publicUrl()}/api/certificates/${certificate.certificateId}/verify?sig=${certificate.signature}`;
+}
+
+// Issue the certificate for a completed donation; issuing twice returns the
+// existing one
+async function issue(donation, donor) {
+  const existing = await Certificate.findOne({ donation: donation._id });
+  if (existing) return existing;
+
+  const certificate = new Certificate({
+    certificateId: generateId(),
+    donation: donation._id,
+    donor: donor._id,
+    donorName: donor.name,
+    donatedAt: donation.donatedAt,
+    facilityName: donation.facilityName,
+    component: donation.component
+  });
+  certificate.signature = sign(certificate);
+
+  return certificate.save();
+}
+
+// Check a certificate against its signature, and against the signature a
+// presented copy carries when one is given
+function verify(certificate, presentedSignature) {
+  if (!safeEqual(certificate.signature, sign(certificate))) {
+    return { valid: false, reason: 'Certificate record does not match its signature' };
+  }
+
+  if (presentedSignature !== undefined && !safeEqual(presentedSignature, certificate.signature)) {
+    return { valid: false, reason: 'Signature does not match this certificate' };
+  }
+
+  if (certificate.revokedAt) {
+    return { valid: false, reason: 'Certificate has been revoked' };
+  }
+
+  return { valid: true };
+}
+
+// Render the certificate as a single-page PDF
+async function renderPdf(certificate) {
+  const url = verificationUrl(certificate);
+  const qr = await QRCode.toBuffer(url, { margin: 1, width: 240 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50,
+      info: {
+        Title: `Blood Donation Certificate ${certificate.certificateId}`,
+        Author: 'Blood Donor Matcher'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const component = COMPONENT_NAMES[certificate.component] || certificate.component;
+    const date = certificate.donatedAt.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    doc.lineWidth(4).strokeColor('#C72828').rect(25, 25, width - 50, height - 50).stroke();
+
+    doc.fillColor('#C72828').font('Helvetica-Bold').fontSize(34)
+      .text('Certificate of Blood Donation', 50, 80, { align: 'center' });
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(16)
+      .text('This certifies that', 50, 150, { align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(28)
+      .text(certificate.donorName, 50, 180, { align: 'center' });
+    doc.font('Helvetica').fontSize(16)
+      .text(`donated ${component} at ${certificate.facilityName} on ${date},`, 50, 230, { align: 'center' })
+      .text(`helping up to ${LIVES_PER_UNIT[certificate.component] || 1} patient(s). Thank you for saving lives.`, { align: 'center' });
+
+    doc.image(qr, width - 210, height - 230, { width: 150 });
+    doc.fontSize(9).fillColor('#666666')
+      .text('Scan to verify', width - 210, height - 75, { width: 150, align: 'center' });
+
+    doc.fontSize(11).fillColor('#333333')
+      .text(`Certificate ID: ${certificate.certificateId}`, 60, height - 130)
+      .text(`Issued: ${certificate.issuedAt.toISOString().slice(0, 10)}`)
+      .fontSize(8).fillColor('#666666')
+      .text(`Signature: ${certificate.signature}`, 60, height - 90, { width: width - 300 })
+      .text(`Verify at ${publicUrl()}/api/certificates/${certificate.certificateId}/verify`, { width: width - 300 });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  issue,
+  verify,
+  verificationUrl,
+  renderPdf
+};
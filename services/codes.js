@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const OneTimeCode = require('../models/OneTimeCode');
+const { getTransports } = require('./notifications');
+
+const MAX_ATTEMPTS = 5;
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+// Reset links carry a long random token; verification codes are six digits
+// typed by hand, so they expire sooner and allow only a few guesses
+const PURPOSES = {
+  password_reset: {
+    ttlMinutes: 60,
+    generate: () => crypto.randomBytes(32).toString('base64url')
+  },
+  verify_email: {
+    ttlMinutes: 10,
+    generate: () => crypto.randomInt(0, 1000000).toString().padStart(6, '0')
+  },
+  verify_phone: {
+    ttlMinutes: 10,
+    generate: () => crypto.randomInt(0, 1000000).toString().padStart(6, '0')
+  }
+};
+
+function fail(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Keyed so a leaked database does not give away six-digit codes
+function hash(code) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(code).digest('hex');
+}
+
+// Create a code for a user, replacing any earlier one for the same purpose
+async function issue(user, purpose, sentTo) {
+  const definition = PURPOSES[purpose];
+
+  const recent = await OneTimeCode.exists({
+    user: user._id,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) }
+  });
+  if (recent) {
+    throw fail(429, 'Please wait a minute before requesting another code');
+  }
+
+  await OneTimeCode.deleteMany({ user: user._id, purpose });
+
+  const code = definition.generate();
+  await OneTimeCode.create({
+    user: user._id,
+    purpose,
+    codeHash: hash(code),
+    sentTo,
+    expiresAt: new Date(Date.now() + definition.ttlMinutes * 60 * 1000)
+  });
+
+  return code;
+}
+
+// Check a code typed by a signed-in user against their latest one
+async function consume(userId, purpose, code) {
+  const record = await OneTimeCode.findOne({
+    user: userId,
+    purpose,
+    usedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  if (!record) {
+    throw fail(400, 'Code has expired; please request a new one');
+  }
+
+  if (record.attempts >= MAX_ATTEMPTS) {
+    throw fail(429, 'Too many incorrect attempts; please request a new code');
+  }
+
+  const matches = crypto.timingSafeEqual(Buffer.from(hash(String(code))), Buffer.from(record.codeHash));
+  if (!matches) {
+    record.attempts += 1;
+    await record.save();
+    throw fail(400, 'Incorrect code');
+  }
+
+  record.usedAt = new Date();
+  await record.save();
+  return record;
+}
+
+// Redeem a long token, e.g. from a reset link, without knowing the user
+async function redeem(purpose, token) {
+  const record = await OneTimeCode.findOneAndUpdate(
+    { codeHash: hash(String(token)), purpose, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!record) {
+    throw fail(400, 'Link is invalid or has expired');
+  }
+
+  return record;
+}
+
+// Send a code straight through a transport rather than as a notification,
+// since notifications are stored in plain text
+async function send(channel, message) {
+  const transport = getTransports()[channel];
+  if (!transport) {
+    throw fail(503, `${channel === 'sms' ? 'SMS' : 'Email'} delivery is not configured`);
+  }
+
+  await transport.send(message);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  issue,
+  consume,
+  redeem,
+  send
+};
@@ -0,0 +1,166 @@
+const BloodRequest = require('../models/BloodRequest');
+const notifications = require('./notifications');
+const { rankCandidates } = require('./matching');
+const { URGENCY_PRIORITY } = require('./requests');
+
+// Search radius (km) of each successive wave
+const WAVE_RADII_KM = [5, 15, 50];
+
+// Longest estimated trip (minutes) each wave accepts; donors close by but
+// slow to reach are left for a later wave. The last wave takes anyone in range.
+const WAVE_MAX_ETA_MINUTES = [20, 45, null];
+
+// How long to wait for acceptances before widening the radius
+const WAVE_WINDOW_MS = {
+  critical: 2 * 60 * 1000,
+  high: 5 * 60 * 1000,
+  medium: 15 * 60 * 1000,
+  low: 30 * 60 * 1000
+};
+
+// Donors contacted per wave for every unit still needed
+const DONORS_PER_UNIT = 3;
+
+// Pending wave timers keyed by request id
+const timers = new Map();
+
+function clearTimer(requestId) {
+  const key = requestId.toString();
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+}
+
+function scheduleNextWave(request, delay) {
+  const key = request._id.toString();
+  clearTimer(key);
+
+  const timer = setTimeout(() => {
+    timers.delete(key);
+    runNextWave(key).catch(error => console.error('Dispatch wave error:', error));
+  }, delay);
+
+  // Don't keep the process alive just for a pending wave
+  if (timer.unref) timer.unref();
+  timers.set(key, timer);
+}
+
+async function finish(request, status) {
+  clearTimer(request._id);
+  request.dispatch.status = status;
+  request.dispatch.finishedAt = new Date();
+  await request.save();
+}
+
+async function notifyDonors(request, candidates) {
+  await notifications.notify(candidates.map(candidate => ({
+    recipient: candidate.donor.id,
+    type: 'blood_request',
+    title: `${request.bloodType} blood needed`,
+    message: `${request.bloodType} blood is needed at ${request.hospital.name}, about ${candidate.etaMinutes} min from you`,
+    data: {
+      requestId: request._id,
+      patientId: request.patient,
+      hospitalName: request.hospital.name,
+      bloodType: request.bloodType,
+      urgency: request.urgency,
+      distance: candidate.distance,
+      etaMinutes: candidate.etaMinutes
+    },
+    priority: URGENCY_PRIORITY[request.urgency] || 'medium'
+  })));
+}
+
+// Contact the next ring of donors, or stop if the request no longer needs them
+async function runNextWave(requestId) {
+  const request = await BloodRequest.findById(requestId);
+  if (!request || request.dispatch?.status !== 'running') return;
+
+  if (!request.isActive()) {
+    return finish(request, 'stopped');
+  }
+
+  const pledged = request.getPledgedUnits();
+  if (pledged >= request.requiredUnits) {
+    return finish(request, 'fulfilled');
+  }
+
+  const waveIndex = request.dispatch.waves.length;
+  if (waveIndex >= WAVE_RADII_KM.length) {
+    return finish(request, 'exhausted');
+  }
+
+  const radiusKm = WAVE_RADII_KM[waveIndex];
+  const maxEtaMinutes = WAVE_MAX_ETA_MINUTES[waveIndex];
+  const candidates = await rankCandidates(request, {
+    radius: radiusKm,
+    maxEta: maxEtaMinutes,
+    limit: (request.requiredUnits - pledged) * DONORS_PER_UNIT
+  });
+
+  candidates.forEach(candidate => {
+    request.matchedDonors.push({ donor: candidate.donor.id, status: 'pending' });
+  });
+
+  request.dispatch.waves.push({
+    number: waveIndex + 1,
+    radiusKm,
+    maxEtaMinutes,
+    startedAt: new Date(),
+    contacted: candidates.map(candidate => ({
+      donor: candidate.donor.id,
+      distance: candidate.distance,
+      etaMinutes: candidate.etaMinutes
+    }))
+  });
+
+  await request.save();
+  await notifyDonors(request, candidates);
+
+  scheduleNextWave(request, WAVE_WINDOW_MS[request.urgency] || WAVE_WINDOW_MS.medium);
+}
+
+// Begin dispatching a newly created request
+async function start(request) {
+  request.dispatch = { status: 'running', startedAt: new Date(), waves: [] };
+  await request.save();
+  await runNextWave(request._id);
+}
+
+// Stop dispatching once accepted pledges cover the required units
+async function handleResponse(request) {
+  if (request.dispatch?.status !== 'running') return;
+  if (request.isFullyPledged()) {
+    await finish(request, 'fulfilled');
+  }
+}
+
+// Stop dispatching a request that was cancelled or closed
+async function stop(request) {
+  if (request.dispatch?.status !== 'running') return;
+  await finish(request, 'stopped');
+}
+
+// Reschedule waves that were in flight when the server restarted
+async function resume() {
+  const running = await BloodRequest.find({ 'dispatch.status': 'running' });
+
+  running.forEach(request => {
+    const lastWave = request.dispatch.waves[request.dispatch.waves.length - 1];
+    const window = WAVE_WINDOW_MS[request.urgency] || WAVE_WINDOW_MS.medium;
+    const elapsed = lastWave ? Date.now() - lastWave.startedAt.getTime() : window;
+    scheduleNextWave(request, Math.max(window - elapsed, 0));
+  });
+
+  return running.length;
+}
+
+module.exports = {
+  WAVE_RADII_KM,
+  WAVE_WINDOW_MS,
+  start,
+  stop,
+  handleResponse,
+  resume
+};
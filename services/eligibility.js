@@ -0,0 +1,182 @@
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RULESET = 'in';
+
+const cache = new Map();
+
+// Load a versioned ruleset from config/eligibility/<id>.json
+function loadRules(id = process.env.ELIGIBILITY_RULES || DEFAULT_RULESET) {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new Error(`Invalid eligibility ruleset "${id}"`);
+  }
+
+  if (!cache.has(id)) {
+    cache.set(id, require(path.join(__dirname, '..', 'config', 'eligibility', `${id}.json`)));
+  }
+
+  return cache.get(id);
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+function addYears(date, years) {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+}
+
+function ageOn(dateOfBirth, date) {
+  let age = date.getFullYear() - dateOfBirth.getFullYear();
+  const birthday = new Date(date.getFullYear(), dateOfBirth.getMonth(), dateOfBirth.getDate());
+  if (date < birthday) age -= 1;
+  return age;
+}
+
+// Medical history codes the ruleset defers donors for
+function deferralCodes(rules = loadRules()) {
+  return rules.deferrals.map(deferral => deferral.id);
+}
+
+// Evaluate a donor against a ruleset. Returns every failing rule, the date the
+// donor becomes eligible again (null if unknown or never) and the mandatory
+// details the profile lacks. A donor missing any of them is not eligible:
+// the status is `needs_info` until they are given. Rules listed in `ignore`
+// are skipped.
+function evaluate(user, options = {}) {
+  const rules = options.rules || loadRules(options.ruleset);
+  const date = options.date || new Date();
+  const ignore = options.ignore || [];
+  const sex = user.sex || 'other';
+  const failures = [];
+  const missing = [];
+
+  const fail = (rule, message, until = null, permanent = false) => {
+    if (ignore.includes(rule)) return;
+    failures.push({ rule, message, until, permanent });
+  };
+
+  const need = (rule, message) => {
+    if (ignore.includes(rule)) return;
+    missing.push({ rule, message });
+  };
+
+  if (user.userType !== 'donor') {
+    fail('donor', 'Only donor accounts can donate', null, true);
+  }
+
+  if (user.isSuspended) {
+    fail('suspended', 'Account is suspended');
+  }
+
+  if (!user.isVerified) {
+    fail('verified', 'Donor has not been verified');
+  }
+
+  if (!user.isAvailable) {
+    fail('available', 'Donor has marked themselves unavailable');
+  }
+
+  // Age
+  if (user.dateOfBirth) {
+    const age = ageOn(user.dateOfBirth, date);
+    if (rules.age.min && age < rules.age.min) {
+      fail('age', `Donors must be at least ${rules.age.min}`, addYears(user.dateOfBirth, rules.age.min));
+    } else if (rules.age.max && age > rules.age.max) {
+      fail('age', `Donors must be at most ${rules.age.max}`, null, true);
+    }
+  } else {
+    need('age', 'Date of birth is required');
+  }
+
+  // Weight
+  if (user.weight) {
+    if (user.weight < rules.weightKg.min) {
+      fail('weight', `Donors must weigh at least ${rules.weightKg.min} kg`);
+    }
+  } else {
+    need('weight', 'Weight is required');
+  }
+
+  // Hemoglobin, from the latest reading supplied by the caller
+  const hemoglobin = options.hemoglobin ?? user.hemoglobin;
+  if (hemoglobin) {
+    const minimum = rules.hemoglobin[sex] || rules.hemoglobin.other;
+    if (hemoglobin < minimum) {
+      fail('hemoglobin', `Hemoglobin must be at least ${minimum} g/dL`);
+    }
+  } else {
+    need('hemoglobin', 'A hemoglobin reading is required');
+  }
+
+  // Recovery interval since the last donation, by sex and component given
+  if (user.lastDonationDate) {
+    const intervals = rules.intervalsDays[sex] || rules.intervalsDays.other;
+    const lastComponent = user.lastDonationComponent || 'whole_blood';
+    const nextComponent = options.component || 'whole_blood';
+    // Wait out recovery from the component last given; apheresis
+    // donations also have their own minimum frequency
+    const days = Math.max(
+      intervals[lastComponent],
+      nextComponent === 'platelets' || nextComponent === 'plasma' ? intervals[nextComponent] : 0
+    );
+    const until = addDays(user.lastDonationDate, days);
+
+    if (until > date) {
+      fail('interval', `Donors must wait ${days} days after a ${lastComponent.replace('_', ' ')} donation`, until);
+    }
+  }
+
+  // Temporary and permanent deferrals from coded medical history entries;
+  // the free-text condition is only shown back, never matched on
+  (user.medicalHistory || []).forEach(entry => {
+    const deferral = entry.code && rules.deferrals.find(rule => rule.id === entry.code);
+    if (!deferral) return;
+    const condition = entry.condition || deferral.label;
+
+    if (deferral.type === 'permanent') {
+      fail(`deferral:${deferral.id}`, `Permanently deferred: ${condition}`, null, true);
+      return;
+    }
+
+    if (!entry.date) {
+      fail(`deferral:${deferral.id}`, `Deferred for ${deferral.days} days after ${condition}; date unknown`);
+      return;
+    }
+
+    const until = addDays(entry.date, deferral.days);
+    if (until > date) {
+      fail(`deferral:${deferral.id}`, `Deferred for ${deferral.days} days after ${condition}`, until);
+    }
+  });
+
+  const permanent = failures.some(failure => failure.permanent);
+  const undated = failures.some(failure => !failure.until);
+  const eligible = failures.length === 0 && missing.length === 0;
+  let eligibleFrom = null;
+  if (eligible) {
+    eligibleFrom = date;
+  } else if (!missing.length && !permanent && !undated) {
+    eligibleFrom = new Date(Math.max(...failures.map(failure => failure.until)));
+  }
+
+  let status = 'eligible';
+  if (failures.length) status = 'ineligible';
+  else if (missing.length) status = 'needs_info';
+
+  return {
+    status,
+    eligible,
+    failures,
+    missing,
+    eligibleFrom,
+    permanent,
+    ruleset: { id: rules.id, version: rules.version }
+  };
+}
+
+module.exports = {
+  loadRules,
+  deferralCodes,
+  evaluate
+};
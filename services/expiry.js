@@ -0,0 +1,70 @@
+const BloodRequest = require('../models/BloodRequest');
+const lifecycle = require('./lifecycle');
+const dispatcher = require('./dispatcher');
+const notifications = require('./notifications');
+const realtime = require('./realtime');
+const { getRequestOwners } = require('./requests');
+
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+let job = null;
+
+async function expire(request) {
+  lifecycle.transition(request, 'expired', {
+    reason: `Not fulfilled within ${lifecycle.EXPIRY_HOURS[request.urgency]} hours`
+  });
+  await request.save();
+
+  await dispatcher.stop(request);
+  realtime.events.requestExpired(request);
+
+  const owners = await getRequestOwners(request);
+  await notifications.notify(owners.map(recipient => ({
+    recipient,
+    type: 'request_update',
+    title: 'Request expired',
+    message: `Your ${request.bloodType} blood request at ${request.hospital.name} expired before enough donors confirmed. Raise a new request if blood is still needed.`,
+    data: { requestId: request._id, bloodType: request.bloodType, status: 'expired' },
+    priority: 'high'
+  })));
+}
+
+// Expire open requests whose deadline has passed
+async function expireOverdue(now = new Date()) {
+  const overdue = await BloodRequest.find({
+    status: { $in: lifecycle.OPEN_STATUSES },
+    expiresAt: { $lte: now }
+  }).limit(BATCH_SIZE);
+
+  for (const request of overdue) {
+    try {
+      await expire(request);
+    } catch (error) {
+      console.error(`Expire request ${request._id} error:`, error);
+    }
+  }
+
+  return overdue.length;
+}
+
+function startJob(interval = POLL_INTERVAL_MS) {
+  if (job) return;
+
+  job = setInterval(() => {
+    expireOverdue().catch(error => console.error('Request expiry error:', error));
+  }, interval);
+
+  if (job.unref) job.unref();
+}
+
+function stopJob() {
+  clearInterval(job);
+  job = null;
+}
+
+module.exports = {
+  expireOverdue,
+  startJob,
+  stopJob
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const lifecycle = require('./lifecycle');
+const { COMPONENTS, getCompatibleRecipientTypes } = require('../shared/compatibility');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// The feed never shows history or dispatch details
+const HIDDEN_FIELDS = { events: 0, dispatch: 0 };
+
+function invalidCursor() {
+  const error = new Error('Invalid cursor');
+  error.status = 400;
+  return error;
+}
+
+// Cursors are opaque to clients: the sort key of the last request on the
+// page, base64url-encoded
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// [urgencyRank, createdAt or distance, id]
+function decodeCursor(cursor, nearby) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (!Array.isArray(values) || values.length !== 3) throw invalidCursor();
+  const [rank, position, id] = values;
+
+  const validPosition = nearby
+    ? typeof position === 'number'
+    : typeof position === 'string' && !isNaN(Date.parse(position));
+  if (!Number.isInteger(rank) || !validPosition || !mongoose.Types.ObjectId.isValid(id)) {
+    throw invalidCursor();
+  }
+
+  return {
+    rank,
+    position: nearby ? position : new Date(position),
+    id: new mongoose.Types.ObjectId(id)
+  };
+}
+
+// Open requests matching the filters; with `donorBloodType`, only those the
+// donor can give to, which depends on each request's component
+function buildFilter({ bloodType, component, urgency, donorBloodType }) {
+  const filter = { status: { $in: lifecycle.OPEN_STATUSES } };
+
+  if (bloodType) filter.bloodType = bloodType;
+  if (component) filter.component = component;
+  if (urgency) filter.urgency = urgency;
+
+  if (donorBloodType) {
+    filter.$or = (component ? [component] : COMPONENTS).map(each => ({
+      component: each,
+      bloodType: { $in: getCompatibleRecipientTypes(donorBloodType, each) }
+    }));
+  }
+
+  return filter;
+}
+
+// Most urgent first, newest first within an urgency
+async function findPage(filter, after, limit) {
+  const query = after
+    ? {
+      $and: [filter, {
+        $or: [
+          { urgencyRank: { $lt: after.rank } },
+          { urgencyRank: after.rank, createdAt: { $lt: after.position } },
+          { urgencyRank: after.rank, createdAt: after.position, _id: { $lt: after.id } }
+        ]
+      }]
+    }
+    : filter;
+
+  const docs = await BloodRequest.find(query, HIDDEN_FIELDS)
+    .sort({ urgencyRank: -1, createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  return {
+    docs,
+    cursorFor: doc => [doc.urgencyRank, doc.createdAt.toISOString(), doc._id.toString()]
+  };
+}
+
+// Most urgent first, nearest first within an urgency. $geoNear uses the
+// hospital.location 2dsphere index; the distance tie-break has to run after
+// it, so only the urgency part of the cursor narrows the geo query.
+async function findNearbyPage(filter, { near, radiusKm }, after, limit) {
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: near },
+        key: 'hospital.location',
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: after ? { ...filter, urgencyRank: { $lte: after.rank } } : filter
+      }
+    }
+  ];
+
+  if (after) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { urgencyRank: { $lt: after.rank } },
+          { urgencyRank: after.rank, distance: { $gt: after.position } },
+          { urgencyRank: after.rank, distance: after.position, _id: { $gt: after.id } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { urgencyRank: -1, distance: 1, _id: 1 } },
+    { $limit: limit + 1 },
+    { $project: HIDDEN_FIELDS }
+  );
+
+  const docs = await BloodRequest.aggregate(pipeline);
+
+  return {
+    docs,
+    cursorFor: doc => [doc.urgencyRank, doc.distance, doc._id.toString()]
+  };
+}
+
+// One page of the active-requests feed. Pass `near` ([longitude, latitude])
+// and `radiusKm` to limit it to nearby hospitals. Resolves to
+// { items: [{ request, distanceKm }], nextCursor }; nextCursor is null on
+// the last page.
+async function activeRequests({ filters = {}, near, radiusKm = 100, cursor, limit } = {}) {
+  const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const after = cursor ? decodeCursor(cursor, Boolean(near)) : null;
+  const filter = buildFilter(filters);
+
+  const { docs, cursorFor } = near
+    ? await findNearbyPage(filter, { near, radiusKm }, after, pageSize)
+    : await findPage(filter, after, pageSize);
+
+  const page = docs.slice(0, pageSize);
+
+  return {
+    items: page.map(doc => ({
+      request: BloodRequest.hydrate(doc),
+      distanceKm: doc.distance === undefined ? undefined : Math.round(doc.distance / 100) / 10
+    })),
+    nextCursor: docs.length > pageSize ? encodeCursor(cursorFor(page[page.length - 1])) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildFilter,
+  activeRequests
+};
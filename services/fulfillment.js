@@ -0,0 +1,151 @@
+const User = require('../models/User');
+const Donation = require('../models/Donation');
+const lifecycle = require('./lifecycle');
+const certificates = require('./certificates');
+
+function fulfillmentError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Move between active and matched as pledges come and go.
+// Returns the new status when it changed, otherwise null.
+function syncMatchStatus(request, actor) {
+  if (request.status === 'active' && request.isFullyPledged()) {
+    lifecycle.transition(request, 'matched', { actor, reason: 'Pledges cover every required unit' });
+    return 'matched';
+  }
+
+  if (request.status === 'matched' && !request.isFullyPledged()) {
+    lifecycle.transition(request, 'active', { actor, reason: 'Pledges no longer cover every required unit' });
+    return 'active';
+  }
+
+  return null;
+}
+
+function acceptedMatch(request, donorId) {
+  const match = request.matchedDonors.find(
+    match => match.donor.equals(donorId) && match.status === 'accepted'
+  );
+
+  if (!match) {
+    throw fulfillmentError('Donor has not accepted this request', 404);
+  }
+  return match;
+}
+
+function collectedUnits(match, { units, outcome = 'completed' }) {
+  return outcome === 'completed' ? (units || match.pledgedUnits) : 0;
+}
+
+// Record what an accepted donor actually gave. A completed donation credits
+// the donor, updates their last donation and issues a certificate; other
+// outcomes release the pledge.
+async function recordDonation(request, { donorId, units, hemoglobin, outcome = 'completed', notes }, actor) {
+  const match = acceptedMatch(request, donorId);
+
+  const donatedAt = new Date();
+  const collected = collectedUnits(match, { units, outcome });
+
+  const donation = await Donation.create({
+    donor: match.donor,
+    request: request._id,
+    facility: request.facility,
+    facilityName: request.hospital.name,
+    component: request.component,
+    units: collected,
+    donatedAt,
+    outcome,
+    hemoglobin,
+    notes,
+    recordedBy: actor?.userId
+  });
+
+  if (outcome === 'completed') {
+    match.status = 'completed';
+    match.donatedUnits = collected;
+    match.donationConfirmedBy = actor?.userId;
+
+    const donorUpdate = {
+      lastDonationDate: donatedAt,
+      lastDonationComponent: request.component,
+      isAvailable: false
+    };
+    if (hemoglobin) donorUpdate.hemoglobin = hemoglobin;
+
+    const donor = await User.findByIdAndUpdate(match.donor, donorUpdate).select('name');
+
+    // A missing certificate can be reissued; it must not undo the donation
+    await certificates.issue(donation, donor)
+      .catch(error => console.error('Issue certificate error:', error));
+  } else {
+    match.status = 'declined';
+    match.notes = `Donation ${outcome.replace('_', ' ')}`;
+  }
+
+  lifecycle.record(request, 'donation_recorded', {
+    actor,
+    data: { donor: match.donor, donation: donation._id, units: collected, outcome }
+  });
+
+  syncMatchStatus(request, actor);
+  return donation;
+}
+
+// Close a request, recording the listed donations first. With
+// `confirmArrivals` and no list, accepted donors whose arrival staff
+// confirmed are recorded with their pledge. Nothing else is recorded, so a
+// caller who cannot confirm donations only closes on what is already
+// recorded. Closing below requiredUnits ends the request as
+// fulfilled_partially.
+async function completeRequest(request, { donations = [], confirmArrivals = false, actor, reason } = {}) {
+  if (!request.isActive()) {
+    throw fulfillmentError('Request is no longer active');
+  }
+
+  const entries = donations.length || !confirmArrivals
+    ? donations
+    : request.matchedDonors
+      .filter(match => match.status === 'accepted' && match.arrivedAt)
+      .map(match => ({ donorId: match.donor }));
+
+  // Check every entry before writing any, so a rejected call records
+  // nothing and can be retried without duplicating donations
+  const seen = new Set();
+  let fulfilledUnits = request.getDonatedUnits();
+  for (const entry of entries) {
+    const match = acceptedMatch(request, entry.donorId);
+    const key = match.donor.toString();
+    if (seen.has(key)) {
+      throw fulfillmentError('Each donor can only be listed once');
+    }
+    seen.add(key);
+    fulfilledUnits += collectedUnits(match, entry);
+  }
+
+  if (fulfilledUnits === 0) {
+    throw fulfillmentError('No donations have been recorded; cancel the request instead');
+  }
+
+  for (const entry of entries) {
+    await recordDonation(request, entry, actor);
+  }
+
+  const partial = fulfilledUnits < request.requiredUnits;
+  request.fulfilledUnits = fulfilledUnits;
+  lifecycle.transition(request, partial ? 'fulfilled_partially' : 'completed', {
+    actor,
+    reason,
+    data: { fulfilledUnits, requiredUnits: request.requiredUnits }
+  });
+
+  return { fulfilledUnits, partial };
+}
+
+module.exports = {
+  syncMatchStatus,
+  recordDonation,
+  completeRequest
+};
@@ -0,0 +1,76 @@
+const path = require('path');
+const geolib = require('geolib');
+
+const DEFAULT_GAZETTEER = 'in';
+
+// Nearest city within this distance counts as the reverse-geocoded place
+const REVERSE_MAX_KM = 50;
+
+// Offline provider backed by config/gazetteer/<id>.json. Resolves PIN codes
+// by their sorting-district prefix and addresses by the city they name, so
+// results are accurate to the city centre.
+function createGazetteerProvider({ id = process.env.GAZETTEER || DEFAULT_GAZETTEER } = {}) {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new Error(`Invalid gazetteer "${id}"`);
+  }
+
+  const { cities } = require(path.join(__dirname, '..', '..', 'config', 'gazetteer', `${id}.json`));
+
+  // Longest prefixes first, so "2013" (Noida) wins over a shorter match
+  const prefixes = cities
+    .flatMap(city => city.pinPrefixes.map(prefix => ({ prefix, city })))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  const names = cities
+    .flatMap(city => [city.name, ...city.aliases].map(name => ({ name: name.toLowerCase(), city })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  function toResult(city, { zipCode, street, precision }) {
+    return {
+      address: { street, city: city.name, state: city.state, zipCode },
+      location: { type: 'Point', coordinates: city.location },
+      label: [street, city.name, city.state, zipCode].filter(Boolean).join(', '),
+      precision,
+      provider: 'gazetteer'
+    };
+  }
+
+  return {
+    name: 'gazetteer',
+
+    async geocode({ text, pinCode }) {
+      const pin = pinCode || text?.match(/\b\d{6}\b/)?.[0];
+
+      // Whole-word match on a city name or alias anywhere in the text;
+      // whatever comes before it is kept as the street
+      const lower = (text || '').toLowerCase();
+      const named = lower && names.find(entry => new RegExp(`(^|[^a-z])${entry.name}([^a-z]|$)`).test(lower));
+      const street = named
+        ? text.slice(0, lower.indexOf(named.name)).replace(/[\s,]+$/, '') || undefined
+        : undefined;
+
+      if (pin) {
+        const match = prefixes.find(entry => pin.startsWith(entry.prefix));
+        if (match) return toResult(match.city, { street, zipCode: pin, precision: 'postal_code' });
+      }
+
+      if (!named) return null;
+      return toResult(named.city, { street, zipCode: pin, precision: 'city' });
+    },
+
+    async reverse([lng, lat]) {
+      const point = { latitude: lat, longitude: lng };
+      const nearest = geolib.findNearest(
+        point,
+        cities.map(city => ({ latitude: city.location[1], longitude: city.location[0], city }))
+      );
+      if (!nearest || geolib.getDistance(point, nearest) / 1000 > REVERSE_MAX_KM) return null;
+
+      return toResult(nearest.city, { precision: 'city' });
+    }
+  };
+}
+
+module.exports = {
+  createGazetteerProvider
+};
@@ -0,0 +1,101 @@
+const { createGazetteerProvider } = require('./gazetteer');
+const { createNominatimProvider } = require('./nominatim');
+
+let providers = null;
+
+// Providers are tried in order; the offline gazetteer always comes last so
+// lookups still work when the HTTP service is down or not configured
+function createProvidersFromEnv(env = process.env) {
+  const list = [];
+
+  if (env.GEOCODER === 'nominatim') {
+    list.push(createNominatimProvider({
+      baseUrl: env.NOMINATIM_URL,
+      email: env.NOMINATIM_EMAIL,
+      countryCodes: env.NOMINATIM_COUNTRY_CODES || 'in'
+    }));
+  }
+
+  list.push(createGazetteerProvider({ id: env.GAZETTEER }));
+  return list;
+}
+
+// Replace the providers, e.g. with a fake in tests
+function configure(list) {
+  providers = list || createProvidersFromEnv();
+  return providers;
+}
+
+function getProviders() {
+  return providers || configure();
+}
+
+async function firstResult(call) {
+  for (const provider of getProviders()) {
+    try {
+      const result = await call(provider);
+      if (result) return result;
+    } catch (error) {
+      console.error(`Geocoding error (${provider.name}):`, error.message);
+    }
+  }
+  return null;
+}
+
+// Free text for an address given as a string or as { street, city, state, zipCode }
+function addressText(address) {
+  if (!address) return '';
+  if (typeof address === 'string') return address.trim();
+  return [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+}
+
+// Look up an address or PIN code; resolves to null when nothing matches
+function geocode({ address, pinCode } = {}) {
+  const text = addressText(address);
+  if (!text && !pinCode) return Promise.resolve(null);
+
+  return firstResult(provider => provider.geocode({ text, pinCode }));
+}
+
+// Describe the place at [longitude, latitude] for display
+function reverse(coordinates) {
+  return firstResult(provider => provider.reverse(coordinates));
+}
+
+// Work out what to store for a location given as coordinates, an address
+// or a PIN code. Explicit coordinates are trusted as they are; otherwise
+// the address is geocoded and the normalized address stored with it, with
+// the street the user typed kept. Resolves to null when nothing was given.
+async function resolveLocation({ coordinates, address, pinCode } = {}) {
+  if (coordinates) {
+    return {
+      location: { type: 'Point', coordinates },
+      address: typeof address === 'string' ? { street: address } : address
+    };
+  }
+
+  if (!addressText(address) && !pinCode) return null;
+
+  const result = await geocode({ address, pinCode });
+  if (!result) {
+    const error = new Error('Could not find that address or PIN code');
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    location: result.location,
+    address: {
+      ...result.address,
+      street: (typeof address === 'object' && address.street) || result.address.street
+    },
+    precision: result.precision
+  };
+}
+
+module.exports = {
+  configure,
+  geocode,
+  reverse,
+  resolveLocation
+};
@@ -0,0 +1,83 @@
+const axios = require('axios');
+
+const DEFAULT_URL = 'https://nominatim.openstreetmap.org';
+
+// Places rarely move, so answers are kept for a day
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 2000;
+
+// Provider for any Nominatim-compatible HTTP API. The public instance asks
+// for an identifying User-Agent and at most one request per second.
+// Lookups are public, so repeats are answered from a cache and calls over
+// the rate fail at once, letting the gazetteer answer instead.
+function createNominatimProvider({ baseUrl = DEFAULT_URL, email, countryCodes, timeout = 5000, minIntervalMs = 1000 } = {}) {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/$/, ''),
+    timeout,
+    headers: { 'User-Agent': `blood-donor-matcher${email ? ` (${email})` : ''}` }
+  });
+
+  const cache = new Map();
+  let lastRequestAt = 0;
+
+  async function get(path, params) {
+    const key = `${path}?${JSON.stringify(params)}`;
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.data;
+    cache.delete(key);
+
+    if (Date.now() - lastRequestAt < minIntervalMs) {
+      throw new Error('Nominatim rate limit reached');
+    }
+    lastRequestAt = Date.now();
+
+    const response = await client.get(path, { params });
+    cache.set(key, { data: response.data, expiresAt: Date.now() + CACHE_TTL_MS });
+    // Maps keep insertion order, so the first key is the oldest
+    if (cache.size > CACHE_MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    return response.data;
+  }
+
+  function toResult(place) {
+    if (!place) return null;
+    const details = place.address || {};
+    const street = [details.house_number, details.road].filter(Boolean).join(' ') || undefined;
+
+    return {
+      address: {
+        street,
+        city: details.city || details.town || details.village || details.county,
+        state: details.state,
+        zipCode: details.postcode
+      },
+      location: { type: 'Point', coordinates: [parseFloat(place.lon), parseFloat(place.lat)] },
+      label: place.display_name,
+      precision: details.road ? 'street' : details.postcode ? 'postal_code' : 'city',
+      provider: 'nominatim'
+    };
+  }
+
+  return {
+    name: 'nominatim',
+
+    async geocode({ text, pinCode }) {
+      const params = { format: 'jsonv2', addressdetails: 1, limit: 1, email, countrycodes: countryCodes };
+      if (text) params.q = pinCode && !text.includes(pinCode) ? `${text} ${pinCode}` : text;
+      else params.postalcode = pinCode;
+
+      const data = await get('/search', params);
+      return toResult(data[0]);
+    },
+
+    async reverse([lng, lat]) {
+      const data = await get('/reverse', { format: 'jsonv2', addressdetails: 1, lat, lon: lng, email });
+      return data?.error ? null : toResult(data);
+    }
+  };
+}
+
+module.exports = {
+  createNominatimProvider
+};
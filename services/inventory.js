@@ -0,0 +1,95 @@
+const Inventory = require('../models/Inventory');
+const { InventoryChange } = Inventory;
+const notifications = require('./notifications');
+const realtime = require('./realtime');
+
+function stockError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Tell facility staff when a blood group/component falls below the threshold
+async function raiseLowStockAlert(facility, item) {
+  const staffIds = facility.staff.map(member => member.user);
+  if (!staffIds.length) return;
+
+  const label = `${item.bloodGroup} ${item.component.replace('_', ' ')}`;
+
+  await notifications.notify(staffIds.map(recipient => ({
+    recipient,
+    type: 'system_alert',
+    title: item.units === 0 ? `${label} out of stock` : `${label} running low`,
+    message: `${facility.name} has ${item.units} unit(s) of ${label} left ` +
+      `(threshold ${facility.lowStockThreshold})`,
+    data: {
+      facilityId: facility._id,
+      hospitalName: facility.name,
+      bloodType: item.bloodGroup,
+      component: item.component,
+      units: item.units
+    },
+    priority: item.units === 0 ? 'urgent' : 'high'
+  })));
+}
+
+// Set (`units`) or adjust (`change`) the stock of one blood group/component
+// at a facility, record the change and broadcast the new level
+async function updateStock(facility, { bloodGroup, component = 'whole_blood', units, change, reason, note }, userId) {
+  const key = { facility: facility._id, bloodGroup, component };
+  let previous;
+  let nextUnits;
+
+  if (units !== undefined) {
+    previous = await Inventory.findOneAndUpdate(
+      key,
+      { $set: { units, lastUpdatedBy: userId } },
+      { upsert: true, new: false, setDefaultsOnInsert: true }
+    );
+    nextUnits = units;
+  } else {
+    // A withdrawal only applies if enough units are on hand
+    const filter = change < 0 ? { ...key, units: { $gte: -change } } : key;
+    previous = await Inventory.findOneAndUpdate(
+      filter,
+      { $inc: { units: change }, $set: { lastUpdatedBy: userId } },
+      { upsert: change >= 0, new: false, setDefaultsOnInsert: true }
+    );
+
+    if (!previous && change < 0) {
+      throw stockError('Not enough units in stock');
+    }
+
+    nextUnits = (previous?.units || 0) + change;
+  }
+
+  const previousUnits = previous?.units || 0;
+  const item = { bloodGroup, component, units: nextUnits };
+
+  const record = await InventoryChange.create({
+    ...key,
+    previousUnits,
+    units: nextUnits,
+    change: nextUnits - previousUnits,
+    reason,
+    note,
+    changedBy: userId
+  });
+
+  realtime.emitInventory('inventory:updated', {
+    facilityId: facility._id,
+    facilityName: facility.name,
+    ...item,
+    updatedAt: record.createdAt
+  });
+
+  if (previousUnits >= facility.lowStockThreshold && nextUnits < facility.lowStockThreshold) {
+    await raiseLowStockAlert(facility, item);
+  }
+
+  return { ...item, previousUnits, change: record };
+}
+
+module.exports = {
+  updateStock
+};
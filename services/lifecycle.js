@@ -0,0 +1,87 @@
+// Blood request lifecycle: the allowed status transitions and the event
+// history every change is recorded in.
+
+const STATUSES = ['active', 'matched', 'completed', 'fulfilled_partially', 'cancelled', 'expired'];
+
+// Statuses in which a request still collects donors
+const OPEN_STATUSES = ['active', 'matched'];
+
+const TRANSITIONS = {
+  active: ['matched', 'completed', 'fulfilled_partially', 'cancelled', 'expired'],
+  matched: ['active', 'completed', 'fulfilled_partially', 'cancelled', 'expired'],
+  completed: [],
+  fulfilled_partially: [],
+  cancelled: [],
+  expired: []
+};
+
+// Hours an open request may stay unfulfilled before it expires
+const EXPIRY_HOURS = {
+  critical: 12,
+  high: 24,
+  medium: 72,
+  low: 168
+};
+
+function lifecycleError(message, status = 409) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function deadlineFor(urgency, from = new Date()) {
+  const hours = EXPIRY_HOURS[urgency] || EXPIRY_HOURS.medium;
+  return new Date(from.getTime() + hours * 60 * 60 * 1000);
+}
+
+// Append an event to the request's history. `actor` is req.user, or null
+// for changes made by the server itself.
+function record(request, type, { actor, reason, data, from, to } = {}) {
+  request.events.push({
+    type,
+    from,
+    to,
+    actor: actor?.userId,
+    actorType: actor ? actor.userType : 'system',
+    reason,
+    data,
+    at: new Date()
+  });
+}
+
+// Move the request to a new status, rejecting transitions the lifecycle
+// does not allow
+function transition(request, to, { actor, reason, data } = {}) {
+  const from = request.status;
+
+  if (!canTransition(from, to)) {
+    throw lifecycleError(`Cannot move request from ${from} to ${to}`);
+  }
+
+  request.status = to;
+
+  const now = new Date();
+  if (to === 'completed' || to === 'fulfilled_partially') request.completedAt = now;
+  if (to === 'expired') request.expiredAt = now;
+  if (to === 'cancelled') {
+    request.cancelledAt = now;
+    request.cancellationReason = reason;
+  }
+
+  record(request, 'status_changed', { actor, reason, data, from, to });
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  EXPIRY_HOURS,
+  canTransition,
+  deadlineFor,
+  record,
+  transition
+};
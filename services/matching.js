@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BloodRequest = require('../models/BloodRequest');
+const routing = require('./routing');
+const preferences = require('./preferences');
+const { URGENCY_PRIORITY } = require('./requests');
+const { isUniversalDonor } = require('../shared/compatibility');
+
+// Relative weight of each factor in the final score
+const WEIGHTS = {
+  compatibility: 0.35,
+  travel: 0.35,
+  reliability: 0.3
+};
+
+const DEFAULT_RADIUS_KM = 50;
+
+// Exact type is preferred, other compatible types next and universal donors
+// (O- for red cells, AB for plasma) last so their stock is kept for patients
+// who cannot take anything else
+function compatibilityScore(requestedType, donorType, component) {
+  if (donorType === requestedType) return 1;
+  if (isUniversalDonor(donorType, component)) return 0.3;
+  return 0.7;
+}
+
+// Estimated minutes to reach the hospital against the longest acceptable trip
+function travelScore(etaMinutes, maxMinutes) {
+  if (etaMinutes >= maxMinutes) return 0;
+  return 1 - etaMinutes / maxMinutes;
+}
+
+// Laplace-smoothed acceptance rate so donors with no history start at 0.5
+function reliabilityScore(history) {
+  const accepted = history?.accepted || 0;
+  const declined = history?.declined || 0;
+  return (accepted + 1) / (accepted + declined + 2);
+}
+
+// Past accept/decline counts per donor taken from every request's matchedDonors
+async function getResponseHistory(donorIds) {
+  const rows = await BloodRequest.aggregate([
+    { $unwind: '$matchedDonors' },
+    {
+      $match: {
+        'matchedDonors.donor': { $in: donorIds.map(id => new mongoose.Types.ObjectId(id)) },
+        'matchedDonors.status': { $in: ['accepted', 'declined', 'completed'] }
+      }
+    },
+    {
+      $group: {
+        _id: '$matchedDonors.donor',
+        accepted: {
+          $sum: { $cond: [{ $in: ['$matchedDonors.status', ['accepted', 'completed']] }, 1, 0] }
+        },
+        declined: {
+          $sum: { $cond: [{ $eq: ['$matchedDonors.status', 'declined'] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const history = new Map();
+  rows.forEach(row => history.set(row._id.toString(), row));
+  return history;
+}
+
+// Rank nearby compatible donors for a blood request by how soon they can
+// reach the hospital. `radius` (km) bounds the search; `maxEta` (minutes)
+// drops donors who would take longer. Donors who snoozed alerts, or whose
+// preferences rule out an alert now (see services/preferences), are left out.
+async function rankCandidates(request, options = {}) {
+  const radius = parseFloat(options.radius) || DEFAULT_RADIUS_KM;
+  const limit = parseInt(options.limit, 10) || 20;
+  const maxEta = parseFloat(options.maxEta) || null;
+  const [lng, lat] = request.hospital.location.coordinates;
+  const priority = URGENCY_PRIORITY[request.urgency] || 'medium';
+  const now = new Date();
+
+  const alreadyMatched = request.matchedDonors.map(match => match.donor.toString());
+
+  const nearby = await User.find({
+    _id: { $nin: alreadyMatched },
+    userType: 'donor',
+    bloodType: { $in: request.getCompatibleBloodTypes() },
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] },
+        $maxDistance: radius * 1000
+      }
+    },
+    ...preferences.notSnoozed(now)
+  }).select('-password');
+
+  const alertsSent = await preferences.alertsThisWeek(
+    nearby.filter(donor => donor.notificationPreferences?.maxAlertsPerWeek).map(donor => donor._id),
+    now
+  );
+  const donors = nearby.filter(donor => !preferences.alertBlocker(donor, {
+    priority,
+    distanceKm: routing.estimate(donor.location.coordinates, [lng, lat]).distanceKm,
+    alertsSent: alertsSent.get(donor._id.toString()),
+    date: now
+  }));
+
+  const [history, etas] = await Promise.all([
+    getResponseHistory(donors.map(donor => donor._id)),
+    routing.etasTo([lng, lat], donors.map(donor => donor.location.coordinates))
+  ]);
+  // Without a limit, score against twice the straight-line time to the edge
+  // of the search radius, since roads are slower than the crow flies
+  const scoreMinutes = maxEta || routing.minutesFor(radius) * 2;
+
+  const candidates = donors
+    .map((donor, index) => {
+      const eta = etas[index];
+      const eligible = donor.isEligibleToDonate(request.component);
+
+      const breakdown = {
+        compatibility: compatibilityScore(request.bloodType, donor.bloodType, request.component),
+        travel: travelScore(eta.minutes, scoreMinutes),
+        reliability: reliabilityScore(history.get(donor._id.toString())),
+        eligibility: eligible ? 1 : 0
+      };
+
+      const weighted = Object.keys(WEIGHTS)
+        .reduce((sum, factor) => sum + WEIGHTS[factor] * breakdown[factor], 0);
+
+      return {
+        donor: {
+          id: donor._id,
+          name: donor.name,
+          bloodType: donor.bloodType,
+          isVerified: donor.isVerified
+        },
+        distance: eta.distanceKm,
+        etaMinutes: eta.minutes,
+        etaSource: eta.source,
+        eligible,
+        score: Math.round(weighted * breakdown.eligibility * 1000) / 1000,
+        breakdown
+      };
+    })
+    .filter(candidate => options.includeIneligible || candidate.eligible)
+    .filter(candidate => !maxEta || candidate.etaMinutes <= maxEta)
+    .sort((a, b) => b.score - a.score || a.etaMinutes - b.etaMinutes);
+
+  return candidates.slice(0, limit);
+}
+
+module.exports = {
+  WEIGHTS,
+  rankCandidates,
+  compatibilityScore,
+  travelScore,
+  reliabilityScore
+};
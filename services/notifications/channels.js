@@ -0,0 +1,78 @@
+// Channels tried for each notification priority, most immediate first
+const PRIORITY_CHANNELS = {
+  urgent: ['in_app', 'sms', 'email'],
+  high: ['in_app', 'sms'],
+  medium: ['in_app', 'email'],
+  low: ['in_app']
+};
+
+// Public shape of a notification pushed to clients
+function serialize(notification) {
+  return {
+    id: notification._id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    data: notification.data,
+    priority: notification.priority,
+    isRead: notification.isRead,
+    createdAt: notification.createdAt
+  };
+}
+
+// How each channel addresses a user and formats a notification
+const CHANNELS = {
+  sms: {
+    address: user => user.phone,
+    format: notification => ({
+      body: `${notification.title}: ${notification.message}`
+    })
+  },
+  email: {
+    address: user => user.email,
+    format: notification => ({
+      subject: notification.title,
+      text: notification.message
+    })
+  },
+  in_app: {
+    address: user => user._id,
+    format: notification => ({
+      event: 'notification:new',
+      payload: serialize(notification)
+    })
+  }
+};
+
+function buildMessage(channel, notification, user) {
+  const definition = CHANNELS[channel];
+  return {
+    to: definition.address(user),
+    ...definition.format(notification)
+  };
+}
+
+// Channels for a priority that have a transport, an address for the user
+// and that the user wants: their own choice for the priority if they made
+// one, and never a channel they switched off. In-app is always kept.
+function selectChannels(priority, user, transports) {
+  const preferences = user.notificationPreferences || {};
+  const chosen = preferences.byPriority?.[priority];
+  const wanted = chosen
+    ? ['in_app', ...chosen]
+    : PRIORITY_CHANNELS[priority] || PRIORITY_CHANNELS.medium;
+  const optedIn = preferences.channels || {};
+
+  return wanted.filter(channel => {
+    if (!transports[channel]) return false;
+    if (!CHANNELS[channel].address(user)) return false;
+    return channel === 'in_app' || optedIn[channel] !== false;
+  });
+}
+
+module.exports = {
+  PRIORITY_CHANNELS,
+  buildMessage,
+  selectChannels,
+  serialize
+};
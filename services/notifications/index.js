@@ -0,0 +1,172 @@
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const { buildMessage, selectChannels } = require('./channels');
+const { createTransportsFromEnv } = require('./transports');
+const preferences = require('../preferences');
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 50;
+
+const RECIPIENT_FIELDS = 'name phone email notificationPreferences';
+
+let transports = null;
+let worker = null;
+
+// Replace the transports, e.g. with fakes; unspecified channels come from the environment
+function configure(overrides = {}) {
+  transports = { ...createTransportsFromEnv(), ...overrides };
+  return transports;
+}
+
+function getTransports() {
+  return transports || configure();
+}
+
+async function attempt(notification, delivery, user) {
+  const transport = getTransports()[delivery.channel];
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    if (!transport) {
+      throw new Error(`No ${delivery.channel} transport configured`);
+    }
+
+    const result = await transport.send(buildMessage(delivery.channel, notification, user));
+
+    delivery.status = result?.stored ? 'stored' : 'sent';
+    delivery.provider = transport.name;
+    delivery.providerMessageId = result?.id || undefined;
+    delivery.sentAt = new Date();
+    delivery.error = undefined;
+    if (!result?.stored) notification.sentVia.addToSet(delivery.channel);
+  } catch (error) {
+    delivery.error = error.message;
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + BASE_BACKOFF_MS * 2 ** (delivery.attempts - 1));
+    }
+  }
+}
+
+// Try every pending delivery of a notification that is due by `until`
+// (now by default), or all of them when forced
+async function deliver(notification, user, { force = false, until = new Date() } = {}) {
+  const due = notification.deliveries.filter(delivery =>
+    delivery.status === 'pending' && (force || delivery.nextAttemptAt.getTime() <= until.getTime())
+  );
+
+  for (const delivery of due) {
+    await attempt(notification, delivery, user);
+  }
+
+  if (due.length) {
+    await notification.save();
+  }
+
+  return notification;
+}
+
+// Create notifications, queue a delivery per selected channel and make the first attempt
+async function notify(input) {
+  const items = Array.isArray(input) ? input : [input];
+  if (!items.length) return [];
+
+  const users = await User.find({ _id: { $in: items.map(item => item.recipient) } })
+    .select(RECIPIENT_FIELDS);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  // The first attempt happens right away; the queue only picks a delivery
+  // up after the backoff, in case this process dies before finishing it
+  const leaseUntil = new Date(Date.now() + BASE_BACKOFF_MS);
+
+  const notifications = items
+    .filter(item => usersById.has(item.recipient.toString()))
+    .map(item => {
+      const user = usersById.get(item.recipient.toString());
+      const priority = item.priority || 'medium';
+      const channels = selectChannels(priority, user, getTransports());
+
+      // Below urgent, SMS and email wait for the recipient's quiet hours
+      // to end; the in-app notification is silent and goes out now
+      const quietUntil = priority !== 'urgent' && preferences.quietHoursEnd(user);
+
+      return new Notification({
+        ...item,
+        sentVia: [],
+        deliveries: channels.map(channel => ({
+          channel,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: quietUntil && channel !== 'in_app' ? quietUntil : leaseUntil
+        }))
+      });
+    });
+
+  await Notification.insertMany(notifications);
+
+  await Promise.all(notifications.map(notification =>
+    deliver(notification, usersById.get(notification.recipient.toString()), { until: leaseUntil })
+      .catch(error => console.error('Notification delivery error:', error))
+  ));
+
+  return notifications;
+}
+
+// Retry deliveries whose backoff has elapsed
+async function processQueue() {
+  const due = await Notification.find({
+    deliveries: {
+      $elemMatch: { status: 'pending', nextAttemptAt: { $lte: new Date() } }
+    }
+  }).limit(BATCH_SIZE);
+
+  for (const notification of due) {
+    const user = await User.findById(notification.recipient).select(RECIPIENT_FIELDS);
+
+    if (!user) {
+      notification.deliveries.forEach(delivery => {
+        if (delivery.status === 'pending') {
+          delivery.status = 'failed';
+          delivery.error = 'Recipient no longer exists';
+        }
+      });
+      await notification.save();
+      continue;
+    }
+
+    await deliver(notification, user);
+  }
+
+  return due.length;
+}
+
+function startWorker(interval = POLL_INTERVAL_MS) {
+  if (worker) return;
+
+  worker = setInterval(() => {
+    processQueue().catch(error => console.error('Notification queue error:', error));
+  }, interval);
+
+  if (worker.unref) worker.unref();
+}
+
+function stopWorker() {
+  clearInterval(worker);
+  worker = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  configure,
+  getTransports,
+  notify,
+  deliver,
+  processQueue,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const twilio = require('twilio');
+const realtime = require('../realtime');
+
+const FAST2SMS_URL = 'https://www.fast2sms.com/dev/bulkV2';
+
+// Records messages in memory instead of sending them, so the whole pipeline
+// can run offline. `failures` makes the first N sends throw to exercise retries.
+function createFakeTransport(name, { failures = 0 } = {}) {
+  const outbox = [];
+  let remainingFailures = failures;
+
+  return {
+    name: `fake-${name}`,
+    outbox,
+    async send(message) {
+      if (remainingFailures > 0) {
+        remainingFailures -= 1;
+        throw new Error(`Simulated ${name} delivery failure`);
+      }
+
+      const id = `fake-${name}-${outbox.length + 1}`;
+      outbox.push({ id, ...message, sentAt: new Date() });
+      return { id };
+    }
+  };
+}
+
+function createTwilioTransport({ accountSid, authToken, from }) {
+  const client = twilio(accountSid, authToken);
+
+  return {
+    name: 'twilio',
+    async send({ to, body }) {
+      const result = await client.messages.create({ to, from, body });
+      return { id: result.sid };
+    }
+  };
+}
+
+function createFast2SmsTransport({ apiKey, senderId = 'FSTSMS' }) {
+  return {
+    name: 'fast2sms',
+    async send({ to, body }) {
+      const response = await axios.post(FAST2SMS_URL, {
+        route: 'q',
+        sender_id: senderId,
+        message: body,
+        language: 'english',
+        flash: 0,
+        numbers: to.replace(/^\+91/, '')
+      }, {
+        headers: { authorization: apiKey }
+      });
+
+      if (!response.data?.return) {
+        throw new Error(response.data?.message || 'Fast2SMS rejected the message');
+      }
+
+      return { id: response.data.request_id };
+    }
+  };
+}
+
+function createSmtpTransport({ host, port, user, pass, from }) {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text }) {
+      const info = await mailer.sendMail({ from, to, subject, text });
+      return { id: info.messageId };
+    }
+  };
+}
+
+// In-app delivery pushes the notification to the recipient's socket room.
+// An offline recipient finds it in their inbox instead, so it is not
+// pushed again later.
+function createSocketTransport() {
+  return {
+    name: 'socket',
+    async send({ to, event, payload }) {
+      if (!realtime.isConnected(to)) {
+        return { id: null, stored: true };
+      }
+      realtime.emitToUser(to, event, payload);
+      return { id: null };
+    }
+  };
+}
+
+// Build one transport per channel from the environment. A channel without
+// credentials gets no transport and is skipped when choosing channels.
+function createTransportsFromEnv(env = process.env) {
+  if (env.NOTIFY_TRANSPORT === 'fake') {
+    return {
+      sms: createFakeTransport('sms'),
+      email: createFakeTransport('email'),
+      in_app: createFakeTransport('in_app')
+    };
+  }
+
+  let sms = null;
+  if (env.SMS_PROVIDER === 'fast2sms' && env.FAST2SMS_API_KEY) {
+    sms = createFast2SmsTransport({
+      apiKey: env.FAST2SMS_API_KEY,
+      senderId: env.FAST2SMS_SENDER_ID
+    });
+  } else if (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN) {
+    sms = createTwilioTransport({
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      from: env.TWILIO_FROM_NUMBER
+    });
+  }
+
+  const email = env.SMTP_HOST
+    ? createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.MAIL_FROM || 'Blood Donor Matcher <no-reply@localhost>'
+    })
+    : null;
+
+  return {
+    sms,
+    email,
+    in_app: createSocketTransport()
+  };
+}
+
+module.exports = {
+  createFakeTransport,
+  createTwilioTransport,
+  createFast2SmsTransport,
+  createSmtpTransport,
+  createSocketTransport,
+  createTransportsFromEnv
+};
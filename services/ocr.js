@@ -0,0 +1,48 @@
+const { createWorker } = require('tesseract.js');
+
+let workerPromise = null;
+let recognizer = null;
+
+// One shared Tesseract worker, created on first use
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const worker = await createWorker();
+      await worker.loadLanguage('eng');
+      await worker.initialize('eng');
+      return worker;
+    })().catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+
+  return workerPromise;
+}
+
+// Read the text of an image. Returns { text, confidence } with confidence 0-100.
+async function recognize(filePath) {
+  if (recognizer) return recognizer(filePath);
+
+  const worker = await getWorker();
+  const { data } = await worker.recognize(filePath);
+  return { text: data.text, confidence: data.confidence };
+}
+
+// Replace the OCR engine, e.g. with a canned result when running offline
+function setRecognizer(fn) {
+  recognizer = fn;
+}
+
+async function shutdown() {
+  if (!workerPromise) return;
+  const worker = await workerPromise;
+  workerPromise = null;
+  await worker.terminate();
+}
+
+module.exports = {
+  recognize,
+  setRecognizer,
+  shutdown
+};
@@ -0,0 +1,126 @@
+const Notification = require('../models/Notification');
+
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Wall-clock minutes past midnight at `date` in a timezone
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parseInt(parts.find(entry => entry.type === type).value, 10);
+  return part('hour') * 60 + part('minute');
+}
+
+// When the user's quiet hours end if `date` falls inside them, otherwise
+// null. Windows may wrap past midnight, e.g. 22:00-07:00.
+function quietHoursEnd(user, date = new Date()) {
+  const quiet = user.notificationPreferences?.quietHours;
+  if (!quiet?.start || !quiet?.end) return null;
+
+  const start = minutesOfDay(quiet.start);
+  const end = minutesOfDay(quiet.end);
+  if (start === end) return null;
+
+  const now = localMinutes(date, quiet.timezone || DEFAULT_TIMEZONE);
+  const inside = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!inside) return null;
+
+  return new Date(date.getTime() + ((end - now + 1440) % 1440) * 60 * 1000);
+}
+
+// Query for users who have not snoozed alerts (or whose snooze has lapsed)
+function notSnoozed(date = new Date()) {
+  return { $or: [{ snoozeUntil: null }, { snoozeUntil: { $lte: date } }] };
+}
+
+// Blood request alerts each donor received in the past seven days
+async function alertsThisWeek(donorIds, date = new Date()) {
+  if (!donorIds.length) return new Map();
+
+  const rows = await Notification.aggregate([
+    {
+      $match: {
+        recipient: { $in: donorIds },
+        type: 'blood_request',
+        createdAt: { $gt: new Date(date.getTime() - WEEK_MS) }
+      }
+    },
+    { $group: { _id: '$recipient', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+}
+
+// Why a donor should not be alerted about a request right now, or null
+// when they can be: beyond their travel radius, at their weekly limit, or
+// in quiet hours for anything below urgent
+function alertBlocker(donor, { priority, distanceKm, alertsSent = 0, date = new Date() }) {
+  if (donor.maxTravelKm && distanceKm > donor.maxTravelKm) return 'travel_radius';
+
+  const cap = donor.notificationPreferences?.maxAlertsPerWeek;
+  if (cap && alertsSent >= cap) return 'weekly_limit';
+
+  if (priority !== 'urgent' && quietHoursEnd(donor, date)) return 'quiet_hours';
+
+  return null;
+}
+
+// Everything a donor can set about when and how they are contacted
+function serialize(user) {
+  const preferences = user.notificationPreferences || {};
+  const byPriority = {};
+  PRIORITIES.forEach(priority => {
+    if (preferences.byPriority?.[priority]) byPriority[priority] = [...preferences.byPriority[priority]];
+  });
+
+  return {
+    isAvailable: user.isAvailable,
+    snoozeUntil: user.snoozeUntil,
+    maxTravelKm: user.maxTravelKm,
+    channels: {
+      sms: preferences.channels?.sms !== false,
+      email: preferences.channels?.email !== false
+    },
+    byPriority,
+    quietHours: preferences.quietHours?.start
+      ? {
+        start: preferences.quietHours.start,
+        end: preferences.quietHours.end,
+        timezone: preferences.quietHours.timezone || DEFAULT_TIMEZONE
+      }
+      : null,
+    maxAlertsPerWeek: preferences.maxAlertsPerWeek
+  };
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_TIMEZONE,
+  isTimeZone,
+  quietHoursEnd,
+  notSnoozed,
+  alertsThisWeek,
+  alertBlocker,
+  serialize
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+// Upper bounds (km) of the distance buckets shown instead of exact
+// distances. None is narrower than 5 km, so buckets seen from a few
+// search points cannot be intersected down to a street.
+const DISTANCE_BUCKETS_KM = [5, 10, 25, 50, 100];
+
+// Estimated travel times are rounded up to this many minutes (~5 km in town)
+const ETA_STEP_MINUTES = 15;
+
+// Coordinates are snapped to a grid of this many degrees (~2 km)
+const LOCATION_GRID_DEGREES = 0.02;
+
+// A snapped point is at most this far from the real one (half a cell diagonal)
+const LOCATION_FUZZ_KM = 1.6;
+
+// Donor searches may not be narrower than this, or overlapping small
+// searches could place a donor well inside their ~2 km grid cell
+const MIN_SEARCH_RADIUS_KM = 5;
+const MIN_SEARCH_ETA_MINUTES = ETA_STEP_MINUTES;
+
+// Match statuses after which both sides may see each other's contact details
+const CONTACT_STATUSES = ['accepted', 'completed'];
+
+function distanceBucket(distanceKm) {
+  if (distanceKm === undefined || distanceKm === null) return null;
+
+  let lower = 0;
+  for (const upper of DISTANCE_BUCKETS_KM) {
+    if (distanceKm < upper) return lower ? `${lower}-${upper} km` : `<${upper} km`;
+    lower = upper;
+  }
+  return `>${lower} km`;
+}
+
+function etaBucket(minutes) {
+  if (minutes === undefined || minutes === null) return null;
+  return Math.ceil(minutes / ETA_STEP_MINUTES) * ETA_STEP_MINUTES;
+}
+
+// Snap to the centre of a grid cell. Always the same cell for the same
+// point, so repeated queries cannot be averaged back to the exact spot.
+function fuzzCoordinates(coordinates, grid = LOCATION_GRID_DEGREES) {
+  if (!coordinates || coordinates.length !== 2) return undefined;
+  const snap = value => Math.round((Math.floor(value / grid) + 0.5) * grid * 10000) / 10000;
+  return [snap(coordinates[0]), snap(coordinates[1])];
+}
+
+// "Asha Rao" -> "A*** R."
+function maskName(name) {
+  if (!name) return 'Anonymous donor';
+  const parts = name.trim().split(/\s+/);
+  const first = `${parts[0][0].toUpperCase()}***`;
+  return parts.length > 1 ? `${first} ${parts[parts.length - 1][0].toUpperCase()}.` : first;
+}
+
+// Stable opaque reference to a donor, so lists can be keyed without the id
+function donorRef(donorId) {
+  const secret = process.env.JWT_SECRET || 'donor-ref';
+  return crypto.createHmac('sha256', secret).update(donorId.toString()).digest('base64url').slice(0, 12);
+}
+
+// What public and patient-facing search may show about a donor. Distance
+// and ETA must be measured from the fuzzed location, never the real one.
+function publicDonor(donor, distanceKm, etaMinutes) {
+  return {
+    ref: donorRef(donor._id),
+    name: maskName(donor.name),
+    bloodType: donor.bloodType,
+    isVerified: donor.isVerified,
+    distance: distanceBucket(distanceKm),
+    etaMinutes: etaBucket(etaMinutes),
+    location: donor.location?.coordinates
+      ? { type: 'Point', coordinates: fuzzCoordinates(donor.location.coordinates) }
+      : undefined
+  };
+}
+
+function canSeeContact(match) {
+  return CONTACT_STATUSES.includes(match.status);
+}
+
+// A matched donor as the requesting side sees them: name and phone only once
+// the donor has accepted, never their address or location
+function matchedDonorView(match) {
+  const { donor, ...rest } = match.toObject ? match.toObject() : match;
+  if (!donor || typeof donor.name !== 'string') return { ...rest, donor };
+
+  const view = {
+    _id: donor._id,
+    bloodType: donor.bloodType,
+    name: canSeeContact(match) ? donor.name : maskName(donor.name)
+  };
+  if (canSeeContact(match)) view.phone = donor.phone;
+
+  return { ...rest, donor: view };
+}
+
+// Request for its patient and facility staff
+function requestForOwner(request) {
+  const json = request.toJSON();
+  json.matchedDonors = request.matchedDonors.map(matchedDonorView);
+  return json;
+}
+
+// Request for a matched donor: patient contact only after they accepted,
+// and none of the other donors
+function requestForDonor(request, donorId) {
+  const match = request.matchedDonors.find(match => match.donor && (match.donor._id || match.donor).equals(donorId));
+  const json = publicRequest(request);
+
+  json.myResponse = match
+    ? { status: match.status, pledgedUnits: match.pledgedUnits, appointment: match.appointment }
+    : null;
+
+  if (match && canSeeContact(match)) {
+    json.hospital.contact = request.hospital.contact;
+    if (request.patient?.name) {
+      json.patient = { name: request.patient.name, phone: request.patient.phone };
+    }
+  }
+
+  return json;
+}
+
+// Request as anyone may see it: what is needed and where, no people
+function publicRequest(request) {
+  return {
+    _id: request._id,
+    bloodType: request.bloodType,
+    component: request.component,
+    urgency: request.urgency,
+    status: request.status,
+    requiredUnits: request.requiredUnits,
+    remainingUnits: request.remainingUnits,
+    pledgedUnits: request.getPledgedUnits(),
+    hospital: {
+      name: request.hospital.name,
+      address: { city: request.hospital.address?.city, state: request.hospital.address?.state },
+      location: request.hospital.location
+    },
+    facility: request.facility?._id || request.facility,
+    description: request.description,
+    createdAt: request.createdAt,
+    expiresAt: request.expiresAt
+  };
+}
+
+module.exports = {
+  DISTANCE_BUCKETS_KM,
+  LOCATION_FUZZ_KM,
+  MIN_SEARCH_RADIUS_KM,
+  MIN_SEARCH_ETA_MINUTES,
+  distanceBucket,
+  etaBucket,
+  fuzzCoordinates,
+  maskName,
+  donorRef,
+  publicDonor,
+  canSeeContact,
+  matchedDonorView,
+  requestForOwner,
+  requestForDonor,
+  publicRequest
+};
@@ -0,0 +1,228 @@
+const socketIo = require('socket.io');
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const Notification = require('../models/Notification');
+const Facility = require('../models/Facility');
+const { authenticate } = require('../middleware/auth');
+
+let io = null;
+let inventoryFeed = null;
+let campaignFeed = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const roleRoom = (userType) => `role:${userType}`;
+const requestRoom = (requestId) => `request:${requestId}`;
+const facilityRoom = (facilityId) => `facility:${facilityId}`;
+
+// Only the patient, donors matched to the request, staff of its facility
+// and admins may follow it
+async function canJoinRequest(user, requestId) {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) return false;
+  if (user.userType === 'admin') return true;
+
+  const facilities = await Facility.find({ 'staff.user': user.userId, locationVerified: true }).select('_id');
+
+  const request = await BloodRequest.exists({
+    _id: requestId,
+    $or: [
+      { patient: user.userId },
+      { 'matchedDonors.donor': user.userId },
+      { facility: { $in: facilities.map(facility => facility._id) } }
+    ]
+  });
+
+  return Boolean(request);
+}
+
+function init(server, options = {}) {
+  io = socketIo(server, options);
+
+  // Verify the same JWT the REST API uses before accepting the connection
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token ||
+        socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+      if (!token) {
+        return next(new Error('No token provided'));
+      }
+
+      const user = await authenticate(token);
+      if (!user) {
+        return next(new Error('Invalid token'));
+      }
+
+      if (user.isSuspended) {
+        return next(new Error('Account suspended'));
+      }
+
+      socket.data.user = { userId: user.userId, userType: user.userType };
+      next();
+    } catch (error) {
+      next(new Error('Invalid token'));
+    }
+  });
+
+  // Stock levels are public, so the inventory feed needs no token;
+  // clients only listen and every event comes from the server
+  inventoryFeed = io.of('/inventory');
+
+  // Campaign registration counts are public in the same way
+  campaignFeed = io.of('/campaigns');
+
+  io.on('connection', (socket) => {
+    const { userId, userType } = socket.data.user;
+    console.log('User connected:', socket.id, userId.toString());
+
+    socket.join([userRoom(userId), roleRoom(userType)]);
+
+    // Staff follow every request raised at their verified facilities
+    Facility.find({ 'staff.user': userId, locationVerified: true }).select('_id')
+      .then(facilities => socket.join(facilities.map(facility => facilityRoom(facility._id))))
+      .catch(error => console.error('Join facility rooms error:', error));
+
+    socket.on('join-room', async (requestId, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        if (!await canJoinRequest(socket.data.user, requestId)) {
+          return respond({ ok: false, message: 'Not a participant of this request' });
+        }
+
+        socket.join(requestRoom(requestId));
+        respond({ ok: true });
+      } catch (error) {
+        console.error('Join room error:', error);
+        respond({ ok: false, message: 'Server error' });
+      }
+    });
+
+    // New notifications arrive as `notification:new` on the user's room;
+    // subscribing returns the unread count to start from
+    socket.on('notifications:subscribe', async (ack) => {
+      if (typeof ack !== 'function') return;
+
+      try {
+        const unreadCount = await Notification.countDocuments({ recipient: userId, isRead: false });
+        ack({ ok: true, unreadCount });
+      } catch (error) {
+        console.error('Notification subscribe error:', error);
+        ack({ ok: false, message: 'Server error' });
+      }
+    });
+
+    socket.on('leave-room', (requestId) => {
+      socket.leave(requestRoom(requestId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+
+  return io;
+}
+
+// Emit to a set of rooms; a no-op until the socket server is initialised
+function emit(rooms, event, payload) {
+  if (!io || !rooms.length) return;
+  io.to(rooms).emit(event, payload);
+}
+
+function emitToUser(userId, event, payload) {
+  emit([userRoom(userId)], event, payload);
+}
+
+// Whether the user has at least one socket connected to this server
+function isConnected(userId) {
+  return Boolean(io && io.sockets.adapter.rooms.get(userRoom(userId))?.size);
+}
+
+function emitInventory(event, payload) {
+  if (!inventoryFeed) return;
+  inventoryFeed.emit(event, payload);
+}
+
+function emitCampaign(event, payload) {
+  if (!campaignFeed) return;
+  campaignFeed.emit(event, payload);
+}
+
+// Public request summary, safe to send to every listener
+function summarizeRequest(request) {
+  return {
+    id: request._id,
+    bloodType: request.bloodType,
+    component: request.component,
+    urgency: request.urgency,
+    status: request.status,
+    requiredUnits: request.requiredUnits,
+    facility: request.facility,
+    hospital: {
+      name: request.hospital.name,
+      location: request.hospital.location
+    },
+    createdAt: request.createdAt
+  };
+}
+
+// Rooms of the requesting side: the patient's own room and the facility's
+function ownerRooms(request) {
+  const rooms = [];
+  if (request.patient) rooms.push(userRoom(request.patient._id || request.patient));
+  if (request.facility) rooms.push(facilityRoom(request.facility._id || request.facility));
+  return rooms;
+}
+
+// Participants of a request: the request room plus the requesting side
+function requestRooms(request) {
+  return [requestRoom(request._id), ...ownerRooms(request)];
+}
+
+const events = {
+  requestCreated(request) {
+    emit([roleRoom('donor'), ...ownerRooms(request)], 'request:created', summarizeRequest(request));
+  },
+
+  requestMatched(request) {
+    emit(requestRooms(request), 'request:matched', summarizeRequest(request));
+  },
+
+  donorResponded(request, donorId, status) {
+    emit(requestRooms(request), 'donor:responded', {
+      requestId: request._id,
+      donorId,
+      status,
+      respondedAt: new Date()
+    });
+  },
+
+  requestCompleted(request) {
+    emit(requestRooms(request), 'request:completed', summarizeRequest(request));
+  },
+
+  requestCancelled(request) {
+    emit(requestRooms(request), 'request:cancelled', {
+      ...summarizeRequest(request),
+      reason: request.cancellationReason
+    });
+  },
+
+  requestExpired(request) {
+    emit(requestRooms(request), 'request:expired', summarizeRequest(request));
+  }
+};
+
+module.exports = {
+  init,
+  emit,
+  emitToUser,
+  isConnected,
+  emitInventory,
+  emitCampaign,
+  userRoom,
+  roleRoom,
+  requestRoom,
+  facilityRoom,
+  events
+};
@@ -0,0 +1,61 @@
+const Facility = require('../models/Facility');
+
+// Notification priority of alerts about a request of each urgency
+const URGENCY_PRIORITY = {
+  critical: 'urgent',
+  high: 'high',
+  medium: 'medium',
+  low: 'low'
+};
+
+// Users responsible for a request: the patient (if registered) and the
+// facility staff who manage requests there
+async function getRequestOwners(request) {
+  const owners = [];
+  if (request.patient) owners.push(request.patient._id || request.patient);
+
+  if (request.facility) {
+    const facility = await Facility.findById(request.facility._id || request.facility).select('staff locationVerified');
+    if (facility) owners.push(...facility.staffWith('manage_requests'));
+  }
+
+  const seen = new Set();
+  return owners.filter(id => {
+    const key = id.toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Whether a user may act for the requesting side of a request: the patient
+// (for managing the request only) or facility staff with the given permission
+async function isRequestOwner(request, userId, permission = 'manage_requests') {
+  const isPatient = request.patient && (request.patient._id || request.patient).equals(userId);
+  if (isPatient && permission === 'manage_requests') return true;
+  if (!request.facility) return false;
+
+  const facility = await Facility.findById(request.facility._id || request.facility).select('staff locationVerified');
+  return Boolean(facility && facility.can(userId, permission));
+}
+
+// Whether a user is a donor on a request: one who responded (with one of
+// `statuses`, if given) or, with `contacted`, one a dispatch wave reached
+function isRequestDonor(request, userId, { statuses, contacted = false } = {}) {
+  const responded = request.matchedDonors.some(match =>
+    match.donor && (match.donor._id || match.donor).equals(userId) &&
+    (!statuses || statuses.includes(match.status))
+  );
+  if (responded || !contacted) return responded;
+
+  return (request.dispatch?.waves || []).some(wave =>
+    wave.contacted.some(entry => entry.donor && (entry.donor._id || entry.donor).equals(userId))
+  );
+}
+
+module.exports = {
+  URGENCY_PRIORITY,
+  getRequestOwners,
+  isRequestOwner,
+  isRequestDonor
+};
@@ -0,0 +1,315 @@
+const PointsEntry = require('../models/PointsEntry');
+const Challenge = require('../models/Challenge');
+const User = require('../models/User');
+const Facility = require('../models/Facility');
+const notifications = require('./notifications');
+const privacy = require('./privacy');
+const config = require('../config/rewards.json');
+
+const LEADERBOARD_SCOPES = {
+  city: 'snapshot.city',
+  bloodGroup: 'snapshot.bloodType',
+  organization: 'snapshot.organization'
+};
+
+const PERIOD_DAYS = {
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+// Ledger filter counting towards each badge/challenge metric
+function metricFilter(metric) {
+  switch (metric) {
+    case 'donations':
+      return { reason: 'donation' };
+    case 'rare_donations':
+      return { reason: 'donation', 'snapshot.bloodType': { $in: config.rareBloodTypes } };
+    case 'emergency_responses':
+      return { reason: 'emergency_response' };
+    case 'critical_responses':
+      return { reason: 'emergency_response', 'data.urgency': 'critical' };
+    case 'campaign_attendance':
+      return { reason: 'campaign_attendance' };
+    default:
+      return null;
+  }
+}
+
+async function measure(donorId, metric, since, until) {
+  const match = { donor: donorId };
+  if (since || until) {
+    match.createdAt = {};
+    if (since) match.createdAt.$gte = since;
+    if (until) match.createdAt.$lte = until;
+  }
+
+  // Points challenges count everything except other challenge rewards
+  if (metric === 'points') {
+    const [total] = await PointsEntry.aggregate([
+      { $match: { ...match, reason: { $ne: 'challenge' } } },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+    return total?.points || 0;
+  }
+
+  return PointsEntry.countDocuments({ ...match, ...metricFilter(metric) });
+}
+
+// Write ledger entries, skipping any the donor was already credited for
+async function credit(donor, entries) {
+  const snapshot = {
+    city: donor.address?.city,
+    bloodType: donor.bloodType,
+    organization: donor.organization
+  };
+
+  const created = [];
+  for (const entry of entries) {
+    try {
+      created.push(await PointsEntry.create({ ...entry, donor: donor._id, snapshot }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return created;
+}
+
+async function awardBadges(donor) {
+  const earned = new Set(donor.badges.map(badge => badge.badge));
+  const awarded = [];
+
+  for (const badge of config.badges) {
+    if (earned.has(badge.id)) continue;
+    if (await measure(donor._id, badge.metric) < badge.min) continue;
+
+    // Only the first concurrent award wins
+    const result = await User.updateOne(
+      { _id: donor._id, 'badges.badge': { $ne: badge.id } },
+      { $push: { badges: { badge: badge.id } } }
+    );
+    if (result.modifiedCount) awarded.push(badge);
+  }
+
+  await notifications.notify(awarded.map(badge => ({
+    recipient: donor._id,
+    type: 'reward_earned',
+    title: `Badge earned: ${badge.name}`,
+    message: badge.description,
+    data: { badge: badge.id },
+    priority: 'low'
+  })));
+
+  return awarded;
+}
+
+async function completeChallenges(donor) {
+  const now = new Date();
+  const active = await Challenge.find({
+    startsAt: { $lte: now },
+    endsAt: { $gte: now },
+    'completedBy.donor': { $ne: donor._id }
+  });
+
+  const completed = [];
+  for (const challenge of active) {
+    if (!challenge.isOpenTo(donor)) continue;
+    if (await measure(donor._id, challenge.metric, challenge.startsAt, challenge.endsAt) < challenge.target) continue;
+
+    const result = await Challenge.updateOne(
+      { _id: challenge._id, 'completedBy.donor': { $ne: donor._id } },
+      { $push: { completedBy: { donor: donor._id } } }
+    );
+    if (!result.modifiedCount) continue;
+
+    if (challenge.rewardPoints) {
+      await credit(donor, [{
+        points: challenge.rewardPoints,
+        reason: 'challenge',
+        source: challenge._id,
+        sourceType: 'Challenge'
+      }]);
+    }
+    completed.push(challenge);
+  }
+
+  await notifications.notify(completed.map(challenge => ({
+    recipient: donor._id,
+    type: 'reward_earned',
+    title: `Challenge complete: ${challenge.title}`,
+    message: challenge.rewardPoints
+      ? `You completed "${challenge.title}" and earned ${challenge.rewardPoints} bonus points`
+      : `You completed "${challenge.title}"`,
+    data: { challengeId: challenge._id, points: challenge.rewardPoints },
+    priority: 'low'
+  })));
+
+  return completed;
+}
+
+async function afterCredit(donor) {
+  await awardBadges(donor);
+  await completeChallenges(donor);
+}
+
+// Whether a donation was confirmed by someone other than the donor. Only
+// facility staff and the patient record donations, but staff may donate too.
+function confirmedByOther(match) {
+  return Boolean(match.donationConfirmedBy) && !match.donationConfirmedBy.equals(match.donor);
+}
+
+// Credit every donor who gave to a completed request: points per donation
+// (more for extra units) plus a bonus for responding to an emergency. Only
+// donations someone else confirmed count, and a donor who closed the
+// request (`completedBy`) is not credited for it.
+async function creditRequest(request, { completedBy } = {}) {
+  if (request.status !== 'completed' && request.status !== 'fulfilled_partially') return;
+
+  const givers = request.matchedDonors.filter(match =>
+    match.status === 'completed' && match.donatedUnits > 0 && confirmedByOther(match) &&
+    !(completedBy && match.donor.equals(completedBy))
+  );
+
+  for (const match of givers) {
+    const donor = await User.findById(match.donor);
+    if (!donor) continue;
+
+    const entries = [{
+      points: config.points.donation + config.points.extraUnit * (match.donatedUnits - 1),
+      reason: 'donation',
+      source: request._id,
+      sourceType: 'BloodRequest',
+      data: { units: match.donatedUnits, urgency: request.urgency }
+    }];
+
+    const bonus = config.points.emergencyResponse[request.urgency];
+    if (bonus) {
+      entries.push({
+        points: bonus,
+        reason: 'emergency_response',
+        source: request._id,
+        sourceType: 'BloodRequest',
+        data: { urgency: request.urgency }
+      });
+    }
+
+    if ((await credit(donor, entries)).length) {
+      await afterCredit(donor);
+    }
+  }
+}
+
+// Credit a donor checked in at a campaign. Anyone can organize a drive, so
+// only check-ins by someone else on the staff of the verified facility
+// running it earn points.
+async function creditCampaignAttendance(campaign, donorId, checkedInBy) {
+  if (!campaign.facility || !checkedInBy || checkedInBy.toString() === donorId.toString()) return;
+
+  const facility = await Facility.findById(campaign.facility).select('staff locationVerified');
+  if (!facility || !facility.can(checkedInBy, 'confirm_donations')) return;
+
+  const donor = await User.findById(donorId);
+  if (!donor) return;
+
+  const created = await credit(donor, [{
+    points: config.points.campaignAttendance,
+    reason: 'campaign_attendance',
+    source: campaign._id,
+    sourceType: 'Campaign'
+  }]);
+
+  if (created.length) {
+    await afterCredit(donor);
+  }
+}
+
+// Points, badges and challenge progress of one donor
+async function summarize(donor) {
+  const [totals] = await PointsEntry.aggregate([
+    { $match: { donor: donor._id } },
+    { $group: { _id: null, points: { $sum: '$points' }, entries: { $sum: 1 } } }
+  ]);
+
+  const now = new Date();
+  const challenges = await Challenge.find({ startsAt: { $lte: now }, endsAt: { $gte: now } });
+  const challengeProgress = [];
+  for (const challenge of challenges.filter(challenge => challenge.isOpenTo(donor))) {
+    challengeProgress.push({
+      challenge: challenge._id,
+      title: challenge.title,
+      metric: challenge.metric,
+      target: challenge.target,
+      endsAt: challenge.endsAt,
+      progress: await measure(donor._id, challenge.metric, challenge.startsAt, challenge.endsAt),
+      completed: challenge.completedBy.some(entry => entry.donor.equals(donor._id))
+    });
+  }
+
+  const badgeInfo = new Map(config.badges.map(badge => [badge.id, badge]));
+
+  return {
+    points: totals?.points || 0,
+    badges: donor.badges.map(badge => ({
+      id: badge.badge,
+      name: badgeInfo.get(badge.badge)?.name,
+      description: badgeInfo.get(badge.badge)?.description,
+      awardedAt: badge.awardedAt
+    })),
+    challenges: challengeProgress,
+    recent: await PointsEntry.find({ donor: donor._id }).sort({ createdAt: -1 }).limit(20)
+  };
+}
+
+// Top donors by points, overall or within a city, blood group or organization
+async function leaderboard({ scope, value, period = 'all', limit = 10 } = {}) {
+  const match = {};
+  if (scope && LEADERBOARD_SCOPES[scope]) {
+    match[LEADERBOARD_SCOPES[scope]] = value;
+  }
+  if (PERIOD_DAYS[period]) {
+    match.createdAt = { $gte: new Date(Date.now() - PERIOD_DAYS[period] * 24 * 60 * 60 * 1000) };
+  }
+
+  const rows = await PointsEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$donor',
+        points: { $sum: '$points' },
+        donations: { $sum: { $cond: [{ $eq: ['$reason', 'donation'] }, 1, 0] } }
+      }
+    },
+    { $sort: { points: -1, donations: -1 } },
+    { $limit: limit },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'donor' } },
+    { $unwind: '$donor' },
+    {
+      $project: {
+        _id: 0,
+        donorId: '$_id',
+        name: '$donor.name',
+        bloodType: '$donor.bloodType',
+        badges: { $size: { $ifNull: ['$donor.badges', []] } },
+        points: 1,
+        donations: 1
+      }
+    }
+  ]).collation({ locale: 'en', strength: 2 });
+
+  // The leaderboard is public: show initials and an opaque ref, not who it is
+  return rows.map(({ donorId, name, ...row }, index) => ({
+    rank: index + 1,
+    ref: privacy.donorRef(donorId),
+    name: privacy.maskName(name),
+    ...row
+  }));
+}
+
+module.exports = {
+  LEADERBOARD_SCOPES,
+  badges: config.badges,
+  creditRequest,
+  creditCampaignAttendance,
+  summarize,
+  leaderboard
+};
@@ -0,0 +1,156 @@
+const geolib = require('geolib');
+const { createLocalProvider } = require('./local');
+const { createOsrmProvider } = require('./osrm');
+
+// Speed assumed for the straight-line estimate when no route is available
+const AVERAGE_SPEED_KMH = parseFloat(process.env.ROUTING_AVERAGE_SPEED_KMH) || 25;
+
+// Travel times change with traffic, so cached legs expire
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 5000;
+
+let provider = null;
+const cache = new Map();
+
+function createProviderFromEnv(env = process.env) {
+  if (env.ROUTER === 'osrm') {
+    return createOsrmProvider({ baseUrl: env.OSRM_URL, profile: env.OSRM_PROFILE });
+  }
+  return createLocalProvider({ speedKmh: parseFloat(env.ROUTING_LOCAL_SPEED_KMH) || undefined });
+}
+
+// Replace the provider, e.g. with a fake in tests; clears cached legs
+function configure(override) {
+  provider = override || createProviderFromEnv();
+  cache.clear();
+  return provider;
+}
+
+function getProvider() {
+  return provider || configure();
+}
+
+// Points closer than ~10 m share cache entries
+function cacheKey(kind, from, to) {
+  const round = value => Math.round(value * 10000) / 10000;
+  return `${kind}:${from.map(round).join(',')}:${to.map(round).join(',')}`;
+}
+
+function cacheGet(key) {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt < Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+// Maps keep insertion order, so the first key is the oldest
+function cacheSet(key, value) {
+  cache.delete(key);
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  if (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function toEta({ duration, distance }, source) {
+  return {
+    minutes: Math.max(1, Math.ceil(duration / 60)),
+    distanceKm: Math.round(distance / 100) / 10,
+    source
+  };
+}
+
+// Straight-line distance at the average speed
+function estimate(from, to) {
+  const distance = geolib.getDistance(
+    { latitude: from[1], longitude: from[0] },
+    { latitude: to[1], longitude: to[0] }
+  );
+  return toEta({ duration: distance / (AVERAGE_SPEED_KMH / 3.6), distance }, 'estimate');
+}
+
+// ETAs for each pair; `pairs` share one endpoint, which is `shared` on the
+// side given by `sharedIsSource`. Estimates are not cached, so the provider
+// is asked again once it recovers.
+async function lookup(pairs, shared, sharedIsSource) {
+  const results = pairs.map(([from, to]) => cacheGet(cacheKey('eta', from, to)));
+  const missing = results.map((result, index) => (result ? null : index)).filter(index => index !== null);
+  if (!missing.length) return results;
+
+  const active = getProvider();
+  let legs = [];
+  try {
+    legs = sharedIsSource
+      ? await active.table([shared], missing.map(index => pairs[index][1]))
+      : await active.table(missing.map(index => pairs[index][0]), [shared]);
+  } catch (error) {
+    console.error(`Routing error (${active.name}):`, error.message);
+  }
+
+  missing.forEach((index, n) => {
+    const [from, to] = pairs[index];
+    if (legs[n]) {
+      results[index] = toEta(legs[n], active.name);
+      cacheSet(cacheKey('eta', from, to), results[index]);
+    } else {
+      results[index] = estimate(from, to);
+    }
+  });
+
+  return results;
+}
+
+// ETAs from each origin to one destination, e.g. donors heading to a hospital.
+// Points are [longitude, latitude]; resolves to { minutes, distanceKm, source }
+// in the same order.
+function etasTo(destination, origins) {
+  if (!origins.length) return Promise.resolve([]);
+  return lookup(origins.map(origin => [origin, destination]), destination, false);
+}
+
+// ETAs from one origin to each destination, e.g. a donor browsing requests
+function etasFrom(origin, destinations) {
+  if (!destinations.length) return Promise.resolve([]);
+  return lookup(destinations.map(destination => [origin, destination]), origin, true);
+}
+
+// Route for map display: the ETA plus a GeoJSON LineString. Falls back to
+// a straight line when the provider has no route.
+async function route(from, to) {
+  const key = cacheKey('route', from, to);
+  const cached = cacheGet(key);
+  if (cached) return cached;
+
+  const active = getProvider();
+  try {
+    const leg = await active.route(from, to);
+    if (leg) {
+      const result = { ...toEta(leg, active.name), geometry: leg.geometry };
+      cacheSet(key, result);
+      return result;
+    }
+  } catch (error) {
+    console.error(`Routing error (${active.name}):`, error.message);
+  }
+
+  return { ...estimate(from, to), geometry: { type: 'LineString', coordinates: [from, to] } };
+}
+
+// Rough upper bound in minutes for a straight-line distance, to pair an
+// ETA limit with a search radius
+function minutesFor(distanceKm) {
+  return Math.ceil(distanceKm / AVERAGE_SPEED_KMH * 60);
+}
+
+module.exports = {
+  AVERAGE_SPEED_KMH,
+  configure,
+  estimate,
+  etasTo,
+  etasFrom,
+  route,
+  minutesFor
+};
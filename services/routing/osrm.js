@@ -0,0 +1,74 @@
+const axios = require('axios');
+
+const DEFAULT_URL = 'http://localhost:5001';
+
+// OSRM's default --max-table-size is 100 coordinates per request
+const MAX_TABLE_SIZE = 100;
+
+const point = ([lng, lat]) => `${lng},${lat}`;
+
+// Provider for any OSRM-compatible HTTP API (OSRM itself, or a hosted
+// service speaking the same /table and /route endpoints)
+function createOsrmProvider({ baseUrl = DEFAULT_URL, profile = 'driving', timeout = 5000 } = {}) {
+  const client = axios.create({ baseURL: baseUrl.replace(/\/$/, ''), timeout });
+
+  async function get(service, coordinates, params) {
+    // Index lists are `;`-separated, which axios would percent-encode
+    const query = Object.entries(params).map(([key, value]) => `${key}=${value}`).join('&');
+    const response = await client.get(`/${service}/v1/${profile}/${coordinates.map(point).join(';')}?${query}`);
+    if (response.data.code !== 'Ok') {
+      throw new Error(`OSRM ${service} failed: ${response.data.message || response.data.code}`);
+    }
+    return response.data;
+  }
+
+  // One request for a batch of sources and destinations
+  async function tableChunk(sources, destinations) {
+    const data = await get('table', [...sources, ...destinations], {
+      sources: sources.map((_, index) => index).join(';'),
+      destinations: destinations.map((_, index) => sources.length + index).join(';'),
+      annotations: 'duration,distance'
+    });
+
+    // Unroutable pairs come back as null
+    return sources.flatMap((_, i) => destinations.map((_, j) => {
+      const duration = data.durations[i][j];
+      if (duration === null || duration === undefined) return null;
+      return { duration, distance: data.distances?.[i]?.[j] };
+    }));
+  }
+
+  return {
+    name: 'osrm',
+
+    // Legs for every source to every destination, sources first. One side
+    // is a single point in practice; the other is split to fit the table limit.
+    async table(sources, destinations) {
+      const chunkSize = MAX_TABLE_SIZE - 1;
+      const legs = [];
+
+      if (sources.length === 1) {
+        for (let i = 0; i < destinations.length; i += chunkSize) {
+          legs.push(...await tableChunk(sources, destinations.slice(i, i + chunkSize)));
+        }
+      } else {
+        for (let i = 0; i < sources.length; i += chunkSize) {
+          legs.push(...await tableChunk(sources.slice(i, i + chunkSize), destinations));
+        }
+      }
+      return legs;
+    },
+
+    async route(from, to) {
+      const data = await get('route', [from, to], { overview: 'full', geometries: 'geojson' });
+      const [route] = data.routes;
+      if (!route) return null;
+
+      return { duration: route.duration, distance: route.distance, geometry: route.geometry };
+    }
+  };
+}
+
+module.exports = {
+  createOsrmProvider
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+function fail(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Short-lived access token tied to a session, so revoking the session
+// cuts it off before it expires
+function issueTokens(user, session, secret) {
+  const token = jwt.sign(
+    { userId: user._id, userType: user.userType, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+}
+
+// Start a session for a user who just proved who they are
+async function create(user, { userAgent, ip } = {}) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hash(secret),
+    userAgent,
+    ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return issueTokens(user, session, secret);
+}
+
+// Exchange a refresh token for a new pair. Each refresh token works once:
+// presenting an old one means it leaked, so the whole session is revoked.
+async function rotate(refreshToken, { userAgent, ip } = {}) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw fail(401, 'Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw fail(401, 'Invalid refresh token');
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash(secret), revokedAt: { $exists: false } },
+    { tokenHash: hash(nextSecret), lastUsedAt: new Date(), expiresAt: refreshExpiry(), userAgent, ip },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revoke(session._id, { reason: 'token_reuse' });
+    throw fail(401, 'Refresh token was already used; please sign in again');
+  }
+
+  const user = await User.findById(rotated.user).select('userType isSuspended');
+  if (!user) {
+    throw fail(401, 'Invalid refresh token');
+  }
+  if (user.isSuspended) {
+    const error = fail(403, 'Account suspended');
+    error.requirement = 'active_account';
+    throw error;
+  }
+
+  return issueTokens(user, rotated, nextSecret);
+}
+
+async function revoke(sessionId, { user, reason = 'revoked' } = {}) {
+  const filter = { _id: sessionId, revokedAt: { $exists: false } };
+  if (user) filter.user = user;
+
+  const result = await Session.updateOne(filter, { revokedAt: new Date(), revocationReason: reason });
+  return result.modifiedCount > 0;
+}
+
+async function revokeAll(userId, { reason = 'logout_all', except } = {}) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revocationReason: reason });
+  return result.modifiedCount;
+}
+
+// Sessions a user is signed in with
+function list(userId) {
+  return Session.find({ user: userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+}
+
+async function isActive(sessionId) {
+  return Boolean(await Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }));
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_DAYS,
+  create,
+  rotate,
+  revoke,
+  revokeAll,
+  list,
+  isActive
+};
@@ -0,0 +1,161 @@
+const ocr = require('./ocr');
+
+// Documents at or above this confidence verify the donor without review
+const AUTO_VERIFY_CONFIDENCE = 0.85;
+const NAME_MATCH_THRESHOLD = 0.8;
+
+const BLOOD_GROUP_PATTERN = /\b(AB|A|B|O)\s*(?:RH\s*)?(?:\(?\s*)(\+|-|−|POS(?:ITIVE)?|NEG(?:ATIVE)?)/i;
+const NAME_PATTERN = /(?:^|\n)\s*(?:patient\s*|donor\s*)?name\s*[:.\-]?\s*([A-Za-z][A-Za-z .']{1,60})/i;
+const DATE_PATTERN = /(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})|(\d{4})-(\d{2})-(\d{2})/;
+const DATE_LABEL_PATTERN = /(?:test|report|collection|sample|issue)?\s*date\s*[:.\-]?\s*([^\n]+)/i;
+
+function normalizeBloodGroup(group, sign) {
+  const positive = sign === '+' || /^pos/i.test(sign);
+  return `${group.toUpperCase()}${positive ? '+' : '-'}`;
+}
+
+// Day-first dates as printed on Indian lab reports, or ISO dates
+function parseDate(text) {
+  const match = text.match(DATE_PATTERN);
+  if (!match) return null;
+
+  let date;
+  if (match[4]) {
+    date = new Date(Date.UTC(+match[4], +match[5] - 1, +match[6]));
+  } else {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    date = new Date(Date.UTC(year, +match[2] - 1, +match[1]));
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Pull name, blood group and test date out of OCR text
+function extractFields(text) {
+  const fields = {};
+
+  const bloodGroup = text.match(BLOOD_GROUP_PATTERN);
+  if (bloodGroup) fields.bloodGroup = normalizeBloodGroup(bloodGroup[1], bloodGroup[2]);
+
+  const name = text.match(NAME_PATTERN);
+  if (name) fields.name = name[1].trim().replace(/\s+/g, ' ');
+
+  const dateLine = text.match(DATE_LABEL_PATTERN);
+  const testDate = parseDate(dateLine ? dateLine[1] : text);
+  if (testDate) fields.testDate = testDate;
+
+  return fields;
+}
+
+// Share of the profile name's words that appear in the document name
+function nameSimilarity(profileName, documentName) {
+  const words = value => value.toLowerCase().split(/[^a-z]+/).filter(word => word.length > 1);
+  const expected = words(profileName);
+  const found = new Set(words(documentName));
+  if (!expected.length) return 0;
+
+  return expected.filter(word => found.has(word)).length / expected.length;
+}
+
+// Compare extracted fields with the profile, returning flags and a 0-1 confidence
+function assess(user, documentType, ocrConfidence, fields) {
+  const flags = [];
+  let score = (ocrConfidence || 0) / 100;
+
+  if (fields.name) {
+    const similarity = nameSimilarity(user.name, fields.name);
+    if (similarity < NAME_MATCH_THRESHOLD) {
+      flags.push({
+        field: 'name',
+        expected: user.name,
+        found: fields.name,
+        message: 'Name on the document does not match the profile'
+      });
+      score *= similarity;
+    }
+  } else {
+    flags.push({ field: 'name', message: 'No name found on the document' });
+    score *= 0.5;
+  }
+
+  if (documentType !== 'id') {
+    if (!fields.bloodGroup) {
+      flags.push({ field: 'bloodGroup', message: 'No blood group found on the document' });
+      score = 0;
+    } else if (user.bloodType && user.bloodType !== fields.bloodGroup) {
+      flags.push({
+        field: 'bloodGroup',
+        expected: user.bloodType,
+        found: fields.bloodGroup,
+        message: `Document says ${fields.bloodGroup} but the profile says ${user.bloodType}`
+      });
+      score = 0;
+    }
+  } else {
+    // An ID proves identity but not blood group, so it always needs review
+    score = Math.min(score, AUTO_VERIFY_CONFIDENCE - 0.01);
+  }
+
+  return { flags, confidence: Math.round(Math.max(0, Math.min(1, score)) * 100) / 100 };
+}
+
+// Whether the OCR result is trusted enough to verify without review
+function isAutoVerifiable(document) {
+  return document.confidence >= AUTO_VERIFY_CONFIDENCE && !document.flags?.length;
+}
+
+// OCR an uploaded document, compare it with the user and verify the user
+// when confidence is high enough; anything else waits for an admin.
+// Saves both the document and the user.
+async function processDocument(document, user) {
+  try {
+    const result = await ocr.recognize(document.file.path);
+    document.ocr = { text: result.text, confidence: result.confidence };
+  } catch (error) {
+    console.error('OCR error:', error);
+    document.ocr = { error: error.message };
+  }
+
+  const fields = document.ocr.text ? extractFields(document.ocr.text) : {};
+  const { flags, confidence } = document.ocr.text
+    ? assess(user, document.documentType, document.ocr.confidence, fields)
+    : { flags: [{ field: 'ocr', message: 'Document could not be read' }], confidence: 0 };
+
+  document.extracted = fields;
+  document.flags = flags;
+  document.confidence = confidence;
+
+  if (isAutoVerifiable(document)) {
+    document.status = 'auto_verified';
+    document.reviewedAt = new Date();
+
+    // Recorded as the verifying document, so rejecting it later unverifies
+    user.isVerified = true;
+    user.bloodType = fields.bloodGroup;
+    user.verification = {
+      status: 'approved',
+      reason: 'Verified automatically from uploaded document',
+      reviewedAt: new Date(),
+      document: document._id
+    };
+  } else {
+    document.status = 'needs_review';
+    if (!user.isVerified) {
+      user.verification = { status: 'pending' };
+    }
+  }
+
+  await document.save();
+  await user.save();
+
+  return document;
+}
+
+module.exports = {
+  AUTO_VERIFY_CONFIDENCE,
+  extractFields,
+  nameSimilarity,
+  assess,
+  isAutoVerifiable,
+  processDocument
+};
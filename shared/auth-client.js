@@ -0,0 +1,60 @@
+// Signed-in fetch for the static pages under Features/ (browser only,
+// served from /shared). Access tokens last 15 minutes: on a 401 the stored
+// refresh token is traded for a new pair once and the call is retried.
+(function (root) {
+  // The API is wherever this script was served from
+  const API_BASE = document.currentScript
+    ? new URL(document.currentScript.src).origin
+    : root.location.origin;
+
+  // Refresh tokens rotate on use, so concurrent 401s share one refresh;
+  // presenting the same refresh token twice revokes the session
+  let refreshing = null;
+
+  function isSignedIn() {
+    return Boolean(localStorage.getItem('token'));
+  }
+
+  function signOut() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  }
+
+  async function refresh() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    const response = await fetch(`${API_BASE}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+    if (!response.ok) {
+      signOut();
+      return false;
+    }
+
+    const tokens = await response.json();
+    localStorage.setItem('token', tokens.token);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+    return true;
+  }
+
+  function withToken(options) {
+    const token = localStorage.getItem('token');
+    return {
+      ...options,
+      headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    };
+  }
+
+  async function authFetch(url, options = {}) {
+    const response = await fetch(url, withToken(options));
+    if (response.status !== 401 || !isSignedIn()) return response;
+
+    refreshing = refreshing || refresh().finally(() => { refreshing = null; });
+    return await refreshing ? fetch(url, withToken(options)) : response;
+  }
+
+  root.AuthClient = { fetch: authFetch, isSignedIn, signOut };
+}(self));
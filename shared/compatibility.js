@@ -0,0 +1,94 @@
+// Blood group compatibility by component. Shared by the server and the
+// browser (served from /shared), so it must stay dependency-free.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BloodCompatibility = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+  const COMPONENTS = ['whole_blood', 'rbc', 'platelets', 'plasma'];
+
+  // Red cells: donor cells must carry no antigen the recipient has antibodies
+  // against. Exact type first, O- last to save universal stock.
+  const RED_CELL = {
+    'A+': ['A+', 'A-', 'O+', 'O-'],
+    'A-': ['A-', 'O-'],
+    'B+': ['B+', 'B-', 'O+', 'O-'],
+    'B-': ['B-', 'O-'],
+    'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-'],
+    'AB-': ['AB-', 'A-', 'B-', 'O-'],
+    'O+': ['O+', 'O-'],
+    'O-': ['O-']
+  };
+
+  // Plasma runs the other way: donor plasma must carry no antibody against the
+  // recipient's cells, so AB is the universal plasma donor. Rh does not matter.
+  const PLASMA = {
+    'A+': ['A+', 'A-', 'AB+', 'AB-'],
+    'A-': ['A-', 'A+', 'AB-', 'AB+'],
+    'B+': ['B+', 'B-', 'AB+', 'AB-'],
+    'B-': ['B-', 'B+', 'AB-', 'AB+'],
+    'AB+': ['AB+', 'AB-'],
+    'AB-': ['AB-', 'AB+'],
+    'O+': ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'],
+    'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+']
+  };
+
+  // Platelets follow plasma ABO rules; Rh-negative recipients only
+  // receive Rh-negative platelets to avoid sensitisation
+  const PLATELETS = {};
+  BLOOD_TYPES.forEach(type => {
+    PLATELETS[type] = type.endsWith('-')
+      ? PLASMA[type].filter(donor => donor.endsWith('-'))
+      : PLASMA[type];
+  });
+
+  const COMPATIBILITY = {
+    whole_blood: RED_CELL,
+    rbc: RED_CELL,
+    platelets: PLATELETS,
+    plasma: PLASMA
+  };
+
+  // Donor types that can give to everyone, kept for when nothing else fits.
+  // Derived from the tables so they cannot disagree: O- for red cells, AB
+  // for plasma and only AB- for platelets (Rh-negative recipients).
+  const UNIVERSAL_DONORS = {};
+  Object.keys(COMPATIBILITY).forEach(component => {
+    UNIVERSAL_DONORS[component] = BLOOD_TYPES.filter(donor =>
+      BLOOD_TYPES.every(recipient => COMPATIBILITY[component][recipient].includes(donor))
+    );
+  });
+
+  // Donor blood types a recipient can receive, in order of preference
+  function getCompatibleDonorTypes(recipientType, component) {
+    const table = COMPATIBILITY[component || 'whole_blood'];
+    return table ? (table[recipientType] || []).slice() : [];
+  }
+
+  // Recipient blood types a donor can give to
+  function getCompatibleRecipientTypes(donorType, component) {
+    return BLOOD_TYPES.filter(recipient =>
+      getCompatibleDonorTypes(recipient, component).includes(donorType)
+    );
+  }
+
+  function isCompatible(donorType, recipientType, component) {
+    return getCompatibleDonorTypes(recipientType, component).includes(donorType);
+  }
+
+  function isUniversalDonor(donorType, component) {
+    return (UNIVERSAL_DONORS[component || 'whole_blood'] || []).includes(donorType);
+  }
+
+  return {
+    BLOOD_TYPES,
+    COMPONENTS,
+    getCompatibleDonorTypes,
+    getCompatibleRecipientTypes,
+    isCompatible,
+    isUniversalDonor
+  };
+}));
@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AdminAction = require('../models/AdminAction');
+const Certificate = require('../models/Certificate');
+const User = require('../models/User');
+const sessions = require('../services/sessions');
+const certificates = require('../services/certificates');
+const adminRoutes = require('../routes/admin');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.CERTIFICATE_SECRET = process.env.CERTIFICATE_SECRET || 'test-certificate-secret';
+
+const admin = { _id: new mongoose.Types.ObjectId(), userType: 'admin', isSuspended: false };
+const token = () => jwt.sign({ userId: admin._id, sid: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+
+describe('admin certificate revocation', () => {
+  const stubs = {};
+  let server;
+  let baseUrl;
+  let stored;
+  let logged;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // The admin session, certificate store and audit log live in memory
+  beforeEach(async () => {
+    stubs.isActive = sessions.isActive;
+    stubs.findById = User.findById;
+    stubs.findOne = Certificate.findOne;
+    stubs.save = Certificate.prototype.save;
+    stubs.create = AdminAction.create;
+
+    stored = null;
+    logged = [];
+    sessions.isActive = async () => true;
+    User.findById = () => ({ select: async () => admin });
+    Certificate.findOne = async filter => (stored && stored.certificateId === filter.certificateId ? stored : null);
+    Certificate.prototype.save = async function() {
+      stored = this;
+      return this;
+    };
+    AdminAction.create = async entry => logged.push(entry);
+
+    await certificates.issue(
+      { _id: new mongoose.Types.ObjectId(), donatedAt: new Date(), facilityName: 'City Hospital', component: 'whole_blood' },
+      { _id: new mongoose.Types.ObjectId(), name: 'Asha Rao' }
+    );
+  });
+
+  afterEach(() => {
+    sessions.isActive = stubs.isActive;
+    User.findById = stubs.findById;
+    Certificate.findOne = stubs.findOne;
+    Certificate.prototype.save = stubs.save;
+    AdminAction.create = stubs.create;
+  });
+
+  const revoke = (certificateId, reason = 'Donation recorded in error') => fetch(`${baseUrl}/certificates/${certificateId}/revoke`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token()}` },
+    body: JSON.stringify({ reason })
+  });
+
+  it('revokes an issued certificate by its printed id', async () => {
+    assert.match(stored.certificateId, /^BDM-/);
+
+    const response = await revoke(stored.certificateId);
+
+    assert.strictEqual(response.status, 200);
+    assert.ok(stored.revokedAt);
+    assert.strictEqual(stored.revocationReason, 'Donation recorded in error');
+    assert.strictEqual(certificates.verify(stored).valid, false);
+    assert.strictEqual(logged[0].action, 'certificate_revoke');
+  });
+
+  it('refuses to revoke a certificate twice', async () => {
+    await revoke(stored.certificateId);
+    const response = await revoke(stored.certificateId);
+
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('sends 404 for an unknown certificate', async () => {
+    const response = await revoke('BDM-0000-0000-0000');
+
+    assert.strictEqual(response.status, 404);
+  });
+});
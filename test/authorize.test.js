@@ -0,0 +1,208 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Facility = require('../models/Facility');
+const authorize = require('../middleware/authorize');
+
+const { role, admin, requestOwner, requestDonor, facilityStaff } = authorize;
+
+const id = () => new mongoose.Types.ObjectId();
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Run the middleware and report whether it called next()
+async function run(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+function facility({ staff = [], locationVerified = true } = {}) {
+  return new Facility({
+    name: 'City Hospital',
+    type: 'hospital',
+    location: { type: 'Point', coordinates: [77.2, 28.6] },
+    staff: staff.map(([user, staffRole]) => ({ user, role: staffRole })),
+    locationVerified
+  });
+}
+
+describe('authorize', () => {
+  it('sends 401 when the request is not authenticated', async () => {
+    const { passed, res } = await run(authorize(admin), {});
+
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 401);
+    assert.deepStrictEqual(res.body, { message: 'Authentication required' });
+  });
+
+  it('sends a 403 naming the unmet requirement', async () => {
+    const req = { user: { userId: id(), userType: 'patient' } };
+    const { passed, res } = await run(authorize(role('donor')), req);
+
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 403);
+    assert.deepStrictEqual(res.body, {
+      message: 'Only donors can do this',
+      code: 'forbidden',
+      requirement: 'role:donor'
+    });
+  });
+
+  it('passes when any rule holds and joins requirements when none does', async () => {
+    const rules = [role('donor'), admin, 'Not for you'];
+
+    const allowed = await run(authorize(...rules), { user: { userId: id(), userType: 'admin' } });
+    assert.strictEqual(allowed.passed, true);
+
+    const denied = await run(authorize(...rules), { user: { userId: id(), userType: 'patient' } });
+    assert.strictEqual(denied.res.statusCode, 403);
+    assert.strictEqual(denied.res.body.message, 'Not for you');
+    assert.strictEqual(denied.res.body.requirement, 'role:donor or role:admin');
+  });
+
+  it('sends 500 when a rule throws', async () => {
+    const broken = { requirement: 'broken', message: 'Broken', check: () => { throw new Error('boom'); } };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const { passed, res } = await run(authorize(broken), { user: { userId: id(), userType: 'donor' } });
+      assert.strictEqual(passed, false);
+      assert.strictEqual(res.statusCode, 500);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('role', () => {
+  it('matches any of the listed user types', () => {
+    const rule = role('donor', 'patient');
+
+    assert.strictEqual(rule.requirement, 'role:donor|patient');
+    assert.strictEqual(rule.message, 'Only donors or patients can do this');
+    assert.strictEqual(rule.check({ user: { userType: 'patient' } }), true);
+    assert.strictEqual(rule.check({ user: { userType: 'admin' } }), false);
+  });
+});
+
+describe('requestOwner', () => {
+  const patient = id();
+  const nurse = id();
+  const lab = id();
+  let findById;
+  let stored;
+
+  beforeEach(() => {
+    findById = Facility.findById;
+    stored = facility({ staff: [[nurse, 'nurse'], [lab, 'lab']] });
+    Facility.findById = () => ({ select: async () => stored });
+  });
+
+  afterEach(() => {
+    Facility.findById = findById;
+  });
+
+  const check = (rule, userId, request) => rule.check({ bloodRequest: request, user: { userId } });
+
+  it('lets the patient manage their own request', async () => {
+    assert.strictEqual(await check(requestOwner(), patient, { patient }), true);
+    assert.strictEqual(await check(requestOwner(), id(), { patient }), false);
+  });
+
+  it('does not let the patient confirm donations', async () => {
+    const rule = requestOwner('confirm_donations');
+
+    assert.strictEqual(rule.requirement, 'request_owner:confirm_donations');
+    assert.strictEqual(await check(rule, patient, { patient, facility: stored._id }), false);
+  });
+
+  it('lets facility staff act only with the permission', async () => {
+    const request = { patient, facility: stored._id };
+
+    assert.strictEqual(await check(requestOwner(), nurse, request), true);
+    assert.strictEqual(await check(requestOwner(), lab, request), false);
+    assert.strictEqual(await check(requestOwner('confirm_donations'), lab, request), true);
+  });
+
+  it('ignores staff of a facility whose location is not verified', async () => {
+    stored.locationVerified = false;
+
+    assert.strictEqual(await check(requestOwner(), nurse, { patient, facility: stored._id }), false);
+  });
+});
+
+describe('requestDonor', () => {
+  const donor = id();
+  const request = {
+    matchedDonors: [{ donor, status: 'accepted' }],
+    dispatch: { waves: [{ contacted: [{ donor: id() }] }] }
+  };
+  const contacted = request.dispatch.waves[0].contacted[0].donor;
+
+  const check = (rule, userId) => rule.check({ bloodRequest: request, user: { userId } });
+
+  it('matches donors who responded', () => {
+    assert.strictEqual(check(requestDonor(), donor), true);
+    assert.strictEqual(check(requestDonor(), id()), false);
+  });
+
+  it('filters on the response status', () => {
+    const accepted = requestDonor({ statuses: ['accepted'] });
+    const declined = requestDonor({ statuses: ['declined'] });
+
+    assert.strictEqual(accepted.requirement, 'request_donor:accepted');
+    assert.strictEqual(accepted.message, 'Only a donor who accepted this request can do this');
+    assert.strictEqual(check(accepted, donor), true);
+    assert.strictEqual(check(declined, donor), false);
+  });
+
+  it('includes contacted donors only when asked', () => {
+    const rule = requestDonor({ contacted: true });
+
+    assert.strictEqual(rule.requirement, 'request_donor|contacted');
+    assert.strictEqual(check(rule, contacted), true);
+    assert.strictEqual(check(requestDonor(), contacted), false);
+  });
+});
+
+describe('facilityStaff', () => {
+  const manager = id();
+  const nurse = id();
+
+  const check = (rule, userId, loaded) => rule.check({ facility: loaded, user: { userId } });
+
+  it('checks the role of staff at the loaded facility', () => {
+    const loaded = facility({ staff: [[manager, 'manager'], [nurse, 'nurse']] });
+
+    assert.strictEqual(facilityStaff('manage_staff').requirement, 'facility:manage_staff');
+    assert.strictEqual(check(facilityStaff('manage_staff'), manager, loaded), true);
+    assert.strictEqual(check(facilityStaff('manage_staff'), nurse, loaded), false);
+    assert.strictEqual(check(facilityStaff('manage_inventory'), id(), loaded), false);
+  });
+
+  it('holds outward-facing permissions until the location is verified', () => {
+    const loaded = facility({ staff: [[manager, 'manager']], locationVerified: false });
+
+    assert.strictEqual(check(facilityStaff('manage_facility'), manager, loaded), true);
+    assert.strictEqual(check(facilityStaff('manage_inventory'), manager, loaded), false);
+  });
+
+  it('fails without a loaded facility', () => {
+    assert.strictEqual(check(facilityStaff('manage_inventory'), manager, undefined), false);
+  });
+});
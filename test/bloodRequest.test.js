@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Facility = require('../models/Facility');
+const BloodRequest = require('../models/BloodRequest');
+const lifecycle = require('../services/lifecycle');
+
+function facility() {
+  return new Facility({
+    name: 'City Hospital',
+    type: 'hospital',
+    address: { city: 'Delhi', state: 'Delhi' },
+    location: { type: 'Point', coordinates: [77.2, 28.6] },
+    contact: { phone: '+911100000000' }
+  });
+}
+
+describe('facility details on requests', () => {
+  it('copies the facility into the request', () => {
+    const source = facility();
+    const request = new BloodRequest({ bloodType: 'O+' });
+
+    request.setFacility(source);
+
+    assert.ok(request.facility.equals(source._id));
+    assert.strictEqual(request.hospital.name, 'City Hospital');
+    assert.deepStrictEqual([...request.hospital.location.coordinates], [77.2, 28.6]);
+    assert.strictEqual(request.hospital.contact.phone, '+911100000000');
+  });
+
+  it('recopies changed details into open requests only', () => {
+    const source = facility();
+    source.name = 'City Hospital (North Wing)';
+    source.location.coordinates = [77.21, 28.61];
+
+    // Built but not run, so no database is needed
+    const query = BloodRequest.syncFacility(source);
+
+    assert.deepStrictEqual(query.getFilter(), {
+      facility: source._id,
+      status: { $in: lifecycle.OPEN_STATUSES }
+    });
+    const { hospital } = query.getUpdate().$set;
+    assert.strictEqual(hospital.name, 'City Hospital (North Wing)');
+    assert.deepStrictEqual([...hospital.location.coordinates], [77.21, 28.61]);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const eligibility = require('../services/eligibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+
+function donor(overrides = {}) {
+  return {
+    userType: 'donor',
+    isVerified: true,
+    isAvailable: true,
+    sex: 'male',
+    dateOfBirth: new Date('1990-01-01'),
+    weight: 70,
+    hemoglobin: 14,
+    medicalHistory: [],
+    ...overrides
+  };
+}
+
+const evaluate = (user, options = {}) => eligibility.evaluate(user, { ruleset: 'in', date: now, ...options });
+
+describe('eligibility', () => {
+  it('passes a donor with every mandatory detail', () => {
+    const result = evaluate(donor());
+
+    assert.strictEqual(result.status, 'eligible');
+    assert.strictEqual(result.eligible, true);
+    assert.deepStrictEqual(result.missing, []);
+  });
+
+  it('needs info when age, weight or hemoglobin is missing', () => {
+    const result = evaluate(donor({ dateOfBirth: undefined, weight: undefined, hemoglobin: undefined }));
+
+    assert.strictEqual(result.status, 'needs_info');
+    assert.strictEqual(result.eligible, false);
+    assert.strictEqual(result.eligibleFrom, null);
+    assert.deepStrictEqual(result.missing.map(entry => entry.rule), ['age', 'weight', 'hemoglobin']);
+  });
+
+  it('reports failures ahead of missing details', () => {
+    const result = evaluate(donor({ weight: 40, hemoglobin: undefined }));
+
+    assert.strictEqual(result.status, 'ineligible');
+    assert.deepStrictEqual(result.failures.map(failure => failure.rule), ['weight']);
+    assert.deepStrictEqual(result.missing.map(entry => entry.rule), ['hemoglobin']);
+  });
+
+  it('skips missing details the caller ignores', () => {
+    const result = evaluate(donor({ hemoglobin: undefined }), { ignore: ['hemoglobin'] });
+
+    assert.strictEqual(result.eligible, true);
+  });
+
+  it('defers on coded medical history', () => {
+    const result = evaluate(donor({
+      medicalHistory: [{ code: 'tattoo', condition: 'Sleeve tattoo', date: new Date(now.getTime() - 30 * DAY_MS) }]
+    }));
+
+    assert.strictEqual(result.status, 'ineligible');
+    assert.strictEqual(result.failures[0].rule, 'deferral:tattoo');
+    assert.match(result.failures[0].message, /Sleeve tattoo/);
+    assert.ok(result.eligibleFrom > now);
+  });
+
+  it('defers permanently on a permanent code', () => {
+    const result = evaluate(donor({ medicalHistory: [{ code: 'infection' }] }));
+
+    assert.strictEqual(result.permanent, true);
+    assert.strictEqual(result.eligibleFrom, null);
+  });
+
+  it('does not match free text without a code', () => {
+    const result = evaluate(donor({
+      medicalHistory: [{ condition: 'No history of hepatitis b', date: now }]
+    }));
+
+    assert.strictEqual(result.eligible, true);
+  });
+
+  it('lists the deferral codes of a ruleset', () => {
+    assert.ok(eligibility.deferralCodes(eligibility.loadRules('in')).includes('tattoo'));
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const certificates = require('../services/certificates');
+const fulfillment = require('../services/fulfillment');
+
+const id = () => new mongoose.Types.ObjectId();
+const actor = { userId: id(), userType: 'patient' };
+
+function request({ facility = id(), matches = [] } = {}) {
+  return new BloodRequest({
+    bloodType: 'O+',
+    requiredUnits: 2,
+    facility,
+    hospital: { name: 'City Hospital', location: { type: 'Point', coordinates: [77.2, 28.6] } },
+    matchedDonors: matches.map(([donor, extra]) => ({ donor, status: 'accepted', ...extra }))
+  });
+}
+
+describe('completeRequest', () => {
+  const stubs = {};
+  let created;
+
+  // Donations, donor updates and certificates are written without a database
+  beforeEach(() => {
+    created = [];
+    stubs.create = Donation.create;
+    stubs.findByIdAndUpdate = User.findByIdAndUpdate;
+    stubs.issue = certificates.issue;
+    Donation.create = async fields => {
+      const donation = new Donation(fields);
+      created.push(donation);
+      return donation;
+    };
+    User.findByIdAndUpdate = () => ({ select: async () => ({ name: 'Donor' }) });
+    certificates.issue = async () => null;
+  });
+
+  afterEach(() => {
+    Donation.create = stubs.create;
+    User.findByIdAndUpdate = stubs.findByIdAndUpdate;
+    certificates.issue = stubs.issue;
+  });
+
+  it('records confirmed arrivals when staff close without a list', async () => {
+    const arrived = id();
+    const bloodRequest = request({ matches: [[arrived, { arrivedAt: new Date() }], [id()]] });
+
+    const result = await fulfillment.completeRequest(bloodRequest, { confirmArrivals: true, actor });
+
+    assert.deepStrictEqual(created.map(donation => donation.donor.toString()), [arrived.toString()]);
+    assert.ok(created[0].recordedBy.equals(actor.userId));
+    assert.ok(bloodRequest.matchedDonors[0].donationConfirmedBy.equals(actor.userId));
+    assert.deepStrictEqual(result, { fulfilledUnits: 1, partial: true });
+    assert.strictEqual(bloodRequest.status, 'fulfilled_partially');
+  });
+
+  it('records nothing for a caller who cannot confirm donations', async () => {
+    const bloodRequest = request({ facility: undefined, matches: [[id()], [id()]] });
+
+    await assert.rejects(
+      fulfillment.completeRequest(bloodRequest, { actor }),
+      { status: 400, message: /No donations have been recorded/ }
+    );
+    assert.strictEqual(created.length, 0);
+    assert.strictEqual(bloodRequest.status, 'active');
+  });
+
+  it('closes on donations already recorded', async () => {
+    const bloodRequest = request({ matches: [[id(), { status: 'completed', donatedUnits: 2 }], [id()]] });
+
+    const result = await fulfillment.completeRequest(bloodRequest, { actor });
+
+    assert.strictEqual(created.length, 0);
+    assert.deepStrictEqual(result, { fulfilledUnits: 2, partial: false });
+    assert.strictEqual(bloodRequest.matchedDonors[1].status, 'accepted');
+  });
+
+  it('records only the listed donations', async () => {
+    const listed = id();
+    const bloodRequest = request({ facility: undefined, matches: [[listed], [id()]] });
+
+    await fulfillment.completeRequest(bloodRequest, { donations: [{ donorId: listed, units: 2 }], actor });
+
+    assert.strictEqual(created.length, 1);
+    assert.ok(created[0].donor.equals(listed));
+    assert.strictEqual(bloodRequest.status, 'completed');
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notifications = require('../services/notifications');
+const { createFakeTransport, createSocketTransport } = require('../services/notifications/transports');
+const realtime = require('../services/realtime');
+
+const recipient = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Asha Rao',
+  phone: '+919800000000',
+  email: 'asha@example.com',
+  notificationPreferences: {}
+};
+
+function pending(channel) {
+  return { channel, status: 'pending', attempts: 0, nextAttemptAt: new Date() };
+}
+
+// A notification whose save() is a no-op, so no database is needed
+function notification(channels) {
+  const doc = new Notification({
+    recipient: recipient._id,
+    type: 'blood_request',
+    title: 'Blood needed',
+    message: 'O+ needed at City Hospital',
+    priority: 'urgent',
+    sentVia: [],
+    deliveries: channels.map(pending)
+  });
+  doc.save = async () => doc;
+  return doc;
+}
+
+describe('notification delivery', () => {
+  let isConnected;
+  let emitToUser;
+  let pushed;
+
+  beforeEach(() => {
+    isConnected = realtime.isConnected;
+    emitToUser = realtime.emitToUser;
+    pushed = [];
+    realtime.emitToUser = (to, event, payload) => pushed.push({ to, event, payload });
+  });
+
+  afterEach(() => {
+    realtime.isConnected = isConnected;
+    realtime.emitToUser = emitToUser;
+  });
+
+  it('pushes in-app notifications to a connected recipient', async () => {
+    realtime.isConnected = () => true;
+    notifications.configure({ in_app: createSocketTransport() });
+
+    const sent = await notifications.deliver(notification(['in_app']), recipient, { force: true });
+
+    assert.strictEqual(sent.deliveries[0].status, 'sent');
+    assert.deepStrictEqual(sent.sentVia, ['in_app']);
+    assert.strictEqual(pushed.length, 1);
+  });
+
+  it('leaves in-app notifications in the inbox of an offline recipient without retrying', async () => {
+    realtime.isConnected = () => false;
+    notifications.configure({ in_app: createSocketTransport() });
+
+    const stored = await notifications.deliver(notification(['in_app']), recipient, { force: true });
+    const [delivery] = stored.deliveries;
+
+    assert.strictEqual(delivery.status, 'stored');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.error, undefined);
+    assert.deepStrictEqual(stored.sentVia, []);
+    assert.strictEqual(pushed.length, 0);
+
+    // Nothing is left for the queue to replay
+    await notifications.deliver(stored, recipient, { force: true });
+    assert.strictEqual(delivery.attempts, 1);
+  });
+
+  it('retries failed SMS with backoff and gives up after the last attempt', async () => {
+    const sms = createFakeTransport('sms', { failures: notifications.MAX_ATTEMPTS });
+    notifications.configure({ sms });
+
+    const doc = notification(['sms']);
+    const [delivery] = doc.deliveries;
+
+    await notifications.deliver(doc, recipient, { force: true });
+    assert.strictEqual(delivery.status, 'pending');
+    assert.ok(delivery.nextAttemptAt > new Date());
+    assert.match(delivery.error, /Simulated sms delivery failure/);
+
+    for (let attempt = 2; attempt <= notifications.MAX_ATTEMPTS; attempt++) {
+      await notifications.deliver(doc, recipient, { force: true });
+    }
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.attempts, notifications.MAX_ATTEMPTS);
+    assert.strictEqual(sms.outbox.length, 0);
+  });
+
+  it('sends SMS once the fake transport recovers', async () => {
+    const sms = createFakeTransport('sms', { failures: 1 });
+    notifications.configure({ sms });
+
+    const doc = notification(['sms']);
+    await notifications.deliver(doc, recipient, { force: true });
+    await notifications.deliver(doc, recipient, { force: true });
+
+    assert.strictEqual(doc.deliveries[0].status, 'sent');
+    assert.strictEqual(doc.deliveries[0].provider, 'fake-sms');
+    assert.strictEqual(sms.outbox.length, 1);
+    assert.strictEqual(sms.outbox[0].to, recipient.phone);
+  });
+
+  it('queues a delivery per channel and attempts them when notifying', async () => {
+    realtime.isConnected = () => false;
+    const sms = createFakeTransport('sms');
+    const email = createFakeTransport('email');
+    notifications.configure({ sms, email, in_app: createSocketTransport() });
+
+    const find = User.find;
+    const insertMany = Notification.insertMany;
+    const save = Notification.prototype.save;
+    User.find = () => ({ select: async () => [recipient] });
+    Notification.insertMany = async docs => docs;
+    Notification.prototype.save = async function() { return this; };
+
+    try {
+      const [created] = await notifications.notify({
+        recipient: recipient._id,
+        type: 'blood_request',
+        title: 'Blood needed',
+        message: 'O+ needed at City Hospital',
+        priority: 'urgent'
+      });
+
+      const statuses = Object.fromEntries(created.deliveries.map(delivery => [delivery.channel, delivery.status]));
+      assert.deepStrictEqual(statuses, { in_app: 'stored', sms: 'sent', email: 'sent' });
+      assert.strictEqual(sms.outbox.length, 1);
+      assert.strictEqual(email.outbox.length, 1);
+    } finally {
+      User.find = find;
+      Notification.insertMany = insertMany;
+      Notification.prototype.save = save;
+    }
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const privacy = require('../services/privacy');
+
+describe('privacy', () => {
+  it('shows no distance bucket narrower than 5 km', () => {
+    assert.strictEqual(privacy.distanceBucket(0.4), '<5 km');
+    assert.strictEqual(privacy.distanceBucket(4.9), '<5 km');
+    assert.strictEqual(privacy.distanceBucket(7), '5-10 km');
+    assert.strictEqual(privacy.distanceBucket(120), '>100 km');
+    assert.strictEqual(privacy.distanceBucket(undefined), null);
+  });
+
+  it('rounds ETAs up to 15-minute steps', () => {
+    assert.strictEqual(privacy.etaBucket(3), 15);
+    assert.strictEqual(privacy.etaBucket(15), 15);
+    assert.strictEqual(privacy.etaBucket(16), 30);
+  });
+
+  it('snaps nearby points to the same cell within the fuzz distance', () => {
+    const a = privacy.fuzzCoordinates([77.2001, 28.6001]);
+    const b = privacy.fuzzCoordinates([77.2199, 28.6199]);
+
+    assert.deepStrictEqual(a, b);
+    assert.deepStrictEqual(a, [77.21, 28.61]);
+  });
+
+  it('shows a donor by ref and fuzzed location only', () => {
+    const donor = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Asha Rao',
+      bloodType: 'O+',
+      isVerified: true,
+      phone: '+919800000000',
+      location: { type: 'Point', coordinates: [77.2001, 28.6001] }
+    };
+
+    const shown = privacy.publicDonor(donor, 3, 7);
+
+    assert.deepStrictEqual(Object.keys(shown).sort(), ['bloodType', 'distance', 'etaMinutes', 'isVerified', 'location', 'name', 'ref']);
+    assert.strictEqual(shown.ref, privacy.donorRef(donor._id));
+    assert.strictEqual(shown.name, 'A*** R.');
+    assert.deepStrictEqual(shown.location.coordinates, [77.21, 28.61]);
+    assert.strictEqual(shown.distance, '<5 km');
+    assert.strictEqual(shown.etaMinutes, 15);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const rewards = require('../services/rewards');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('creditRequest', () => {
+  const nurse = id();
+  let findById;
+  let looked;
+
+  // Record which donors would be credited; returning no user stops there
+  beforeEach(() => {
+    findById = User.findById;
+    looked = [];
+    User.findById = async donorId => {
+      looked.push(donorId.toString());
+      return null;
+    };
+  });
+
+  afterEach(() => {
+    User.findById = findById;
+  });
+
+  function completed(matches) {
+    return new BloodRequest({
+      bloodType: 'O+',
+      status: 'completed',
+      hospital: { name: 'City Hospital', location: { type: 'Point', coordinates: [77.2, 28.6] } },
+      matchedDonors: matches.map(([donor, confirmedBy]) => ({
+        donor,
+        status: 'completed',
+        donatedUnits: 1,
+        donationConfirmedBy: confirmedBy
+      }))
+    });
+  }
+
+  it('credits donations confirmed by someone else', async () => {
+    const donor = id();
+
+    await rewards.creditRequest(completed([[donor, nurse]]), { completedBy: nurse });
+
+    assert.deepStrictEqual(looked, [donor.toString()]);
+  });
+
+  it('skips unconfirmed and self-confirmed donations', async () => {
+    const unconfirmed = id();
+    const staffDonor = id();
+
+    await rewards.creditRequest(completed([[unconfirmed, undefined], [staffDonor, staffDonor]]));
+
+    assert.deepStrictEqual(looked, []);
+  });
+
+  it('skips the donor who closed the request', async () => {
+    const closer = id();
+    const other = id();
+
+    await rewards.creditRequest(completed([[closer, nurse], [other, nurse]]), { completedBy: closer });
+
+    assert.deepStrictEqual(looked, [other.toString()]);
+  });
+
+  it('credits nothing on an open request', async () => {
+    const bloodRequest = completed([[id(), nurse]]);
+    bloodRequest.status = 'active';
+
+    await rewards.creditRequest(bloodRequest);
+
+    assert.deepStrictEqual(looked, []);
+  });
+});
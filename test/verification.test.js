@@ -0,0 +1,84 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const VerificationDocument = require('../models/VerificationDocument');
+const ocr = require('../services/ocr');
+const verification = require('../services/verification');
+
+// A user and document whose save() is a no-op, so no database is needed
+function fixtures({ documentType = 'blood_group_card', isVerified = false } = {}) {
+  const user = new User({ name: 'Asha Rao', email: 'asha@example.com', userType: 'donor', isVerified });
+  const document = new VerificationDocument({
+    user: user._id,
+    documentType,
+    file: { path: '/tmp/card.png' }
+  });
+  user.save = async () => user;
+  document.save = async () => document;
+  return { user, document };
+}
+
+function readAs(text, confidence = 95) {
+  ocr.setRecognizer(async () => ({ text, confidence }));
+}
+
+describe('processDocument', () => {
+  afterEach(() => ocr.setRecognizer(null));
+
+  it('verifies the donor when a confident document matches the profile', async () => {
+    readAs('Name: Asha Rao\nBlood Group: O +ve\nDate: 12/03/2026');
+    const { user, document } = fixtures();
+
+    await verification.processDocument(document, user);
+
+    assert.strictEqual(document.status, 'auto_verified');
+    assert.strictEqual(user.isVerified, true);
+    assert.strictEqual(user.bloodType, 'O+');
+    assert.strictEqual(user.verification.status, 'approved');
+    assert.ok(user.verification.document.equals(document._id));
+  });
+
+  it('sends flagged documents to review without verifying', async () => {
+    readAs('Name: Someone Else\nBlood Group: O +ve');
+    const { user, document } = fixtures();
+
+    await verification.processDocument(document, user);
+
+    assert.strictEqual(document.status, 'needs_review');
+    assert.strictEqual(user.isVerified, false);
+    assert.strictEqual(user.verification.status, 'pending');
+  });
+
+  it('sends low-confidence reads to review', async () => {
+    readAs('Name: Asha Rao\nBlood Group: O +ve', 60);
+    const { user, document } = fixtures();
+
+    await verification.processDocument(document, user);
+
+    assert.strictEqual(document.status, 'needs_review');
+    assert.strictEqual(user.isVerified, false);
+  });
+
+  it('never verifies from an ID alone', async () => {
+    readAs('Name: Asha Rao');
+    const { user, document } = fixtures({ documentType: 'id' });
+
+    await verification.processDocument(document, user);
+
+    assert.ok(document.confidence < verification.AUTO_VERIFY_CONFIDENCE);
+    assert.strictEqual(document.status, 'needs_review');
+  });
+
+  it('leaves an already verified donor verified while a document waits', async () => {
+    readAs('unreadable', 20);
+    const { user, document } = fixtures({ isVerified: true });
+    user.verification = { status: 'approved', document: new mongoose.Types.ObjectId() };
+
+    await verification.processDocument(document, user);
+
+    assert.strictEqual(document.status, 'needs_review');
+    assert.strictEqual(user.isVerified, true);
+    assert.strictEqual(user.verification.status, 'approved');
+  });
+});